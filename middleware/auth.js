@@ -1,9 +1,16 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isFamilyActive, verifyStreamToken } = require('../services/tokenService');
 
-const auth = async (req, res, next) => {
+// With `anonymousIfGone`, a token of a deleted or deactivated account lets
+// the request through without req.user instead of rejecting it. With
+// `streamToken`, the token is a notification stream token sent as ?token=
+// rather than an access token in the Authorization header.
+const authenticate = ({ anonymousIfGone = false, streamToken = false } = {}) => async (req, res, next) => {
     try {
-        const token = req.header('Authorization')?.replace('Bearer ', '');
+        const token = streamToken
+            ? req.query.token
+            : req.header('Authorization')?.replace('Bearer ', '');
 
         if (!token) {
             return res.status(401).json({
@@ -14,10 +21,16 @@ const auth = async (req, res, next) => {
         }
 
         try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+            const decoded = streamToken
+                ? verifyStreamToken(token)
+                : jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
             const user = await User.findById(decoded.userId);
 
-            if (!user) {
+            // Deactivated accounts are signed out until they log in again
+            if ((!user || user.isDeactivated()) && anonymousIfGone) {
+                return next();
+            }
+            if (!user || user.isDeactivated()) {
                 return res.status(401).json({
                     success: false,
                     message: 'User not found',
@@ -25,7 +38,31 @@ const auth = async (req, res, next) => {
                 });
             }
 
+            // Tokens from a session that was logged out or caught replaying
+            // a refresh token, or issued before the last password change
+            const revoked = (decoded.fam && !(await isFamilyActive(decoded.fam))) ||
+                (user.passwordChangedAt &&
+                    decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000));
+
+            if (revoked) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Token has been revoked',
+                    error: 'TOKEN_REVOKED'
+                });
+            }
+
+            if (user.isSuspended()) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Account is suspended',
+                    error: 'ACCOUNT_SUSPENDED',
+                    suspendedUntil: user.suspendedUntil
+                });
+            }
+
             req.user = user;
+            req.tokenFamily = decoded.fam;
             next();
         } catch (jwtError) {
             if (jwtError.name === 'TokenExpiredError') {
@@ -53,4 +90,8 @@ const auth = async (req, res, next) => {
     }
 };
 
+const auth = authenticate();
+auth.anonymousIfGone = authenticate({ anonymousIfGone: true });
+auth.streamToken = authenticate({ streamToken: true });
+
 module.exports = auth; 
\ No newline at end of file
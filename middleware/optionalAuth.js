@@ -0,0 +1,14 @@
+const auth = require('./auth');
+
+// For public routes that show more to signed-in users: authenticates when a
+// token is sent (rejecting bad ones as usual) and otherwise continues with
+// req.user unset. A deactivated account's token counts as no token, so its
+// owner sees these routes as a visitor would.
+const optionalAuth = (req, res, next) => {
+    if (!req.header('Authorization')) {
+        return next();
+    }
+    auth.anonymousIfGone(req, res, next);
+};
+
+module.exports = optionalAuth;
@@ -0,0 +1,102 @@
+const { getStore } = require('../services/rateLimit');
+
+const byIp = (req) => req.ip;
+const byUser = (req) => req.user._id.toString();
+const byUserOrIp = (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`);
+
+// Named policies. `key` picks who is counted; policies keyed by user must
+// run after `auth`. `skipSuccessful` only counts requests that fail (4xx/5xx).
+// Override a policy with RATE_LIMIT_<NAME>="max/windowSeconds" (e.g.
+// RATE_LIMIT_LOGIN="10/600"), or set it to "off" to disable it.
+const POLICIES = {
+    // Failed logins per account identifier from one IP
+    login: {
+        max: 5,
+        windowMs: 15 * 60 * 1000,
+        key: (req) => `${req.ip}:${String(req.body.login || req.body.username || req.body.email || '').toLowerCase()}`,
+        skipSuccessful: true
+    },
+    // Failed logins from one IP across all identifiers
+    login_ip: { max: 20, windowMs: 15 * 60 * 1000, key: byIp, skipSuccessful: true },
+    register: { max: 5, windowMs: 60 * 60 * 1000, key: byIp },
+    password_reset: { max: 5, windowMs: 60 * 60 * 1000, key: byIp },
+    post: { max: 20, windowMs: 10 * 60 * 1000, key: byUser },
+    comment: { max: 30, windowMs: 10 * 60 * 1000, key: byUser },
+    like: { max: 60, windowMs: 60 * 1000, key: byUser },
+    follow: { max: 50, windowMs: 60 * 60 * 1000, key: byUser },
+    message: { max: 30, windowMs: 60 * 1000, key: byUser },
+    search: { max: 30, windowMs: 60 * 1000, key: byUserOrIp },
+    export: { max: 3, windowMs: 24 * 60 * 60 * 1000, key: byUser }
+};
+
+const resolvePolicy = (name) => {
+    const policy = POLICIES[name];
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy: ${name}`);
+    }
+
+    const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+    if (!override) return policy;
+    if (override === 'off') return null;
+
+    const [max, windowSeconds] = override.split('/').map(Number);
+    if (!(max > 0) || !(windowSeconds > 0)) {
+        throw new Error(`RATE_LIMIT_${name.toUpperCase()} must look like "max/windowSeconds"`);
+    }
+    return { ...policy, max, windowMs: windowSeconds * 1000 };
+};
+
+// Sets RateLimit-Limit/-Remaining/-Reset (and Retry-After once the limit is
+// hit) and answers 429 when the caller is over the policy's limit
+const rateLimit = (name) => {
+    const policy = resolvePolicy(name);
+    if (!policy) {
+        return (req, res, next) => next();
+    }
+
+    const windowSeconds = Math.ceil(policy.windowMs / 1000);
+
+    return async (req, res, next) => {
+        const key = `rl:${name}:${policy.key(req)}`;
+
+        let result;
+        try {
+            result = await getStore().increment(key, policy.windowMs);
+        } catch (error) {
+            // Don't take the API down with the store
+            console.error('Rate limit store error:', error);
+            return next();
+        }
+
+        const resetSeconds = Math.max(0, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+        res.set({
+            'RateLimit-Policy': `${policy.max};w=${windowSeconds}`,
+            'RateLimit-Limit': String(policy.max),
+            'RateLimit-Remaining': String(Math.max(0, policy.max - result.count)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (result.count > policy.max) {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({
+                success: false,
+                message: 'Too many requests, please try again later',
+                error: 'RATE_LIMITED'
+            });
+        }
+
+        if (policy.skipSuccessful) {
+            res.on('finish', () => {
+                if (res.statusCode < 400) {
+                    getStore().decrement(key).catch(error => {
+                        console.error('Rate limit store error:', error);
+                    });
+                }
+            });
+        }
+
+        next();
+    };
+};
+
+module.exports = rateLimit;
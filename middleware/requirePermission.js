@@ -0,0 +1,17 @@
+const { hasPermission } = require('../utils/permissions');
+
+// Must run after `auth`. Allows the request when the user's role grants
+// `permission` (see utils/permissions.js).
+const requirePermission = (permission) => (req, res, next) => {
+    if (hasPermission(req.user, permission)) {
+        return next();
+    }
+
+    res.status(403).json({
+        success: false,
+        message: 'You do not have permission to do this',
+        error: 'FORBIDDEN'
+    });
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,21 @@
+// Actions unverified accounts may not perform, e.g. "post,comment".
+// Set UNVERIFIED_RESTRICTIONS to an empty string to allow everything.
+const restrictions = (process.env.UNVERIFIED_RESTRICTIONS ?? 'post')
+    .split(',')
+    .map(action => action.trim())
+    .filter(Boolean);
+
+// Must run after `auth`
+const requireVerified = (action) => (req, res, next) => {
+    if (req.user.emailVerified || !restrictions.includes(action)) {
+        return next();
+    }
+
+    res.status(403).json({
+        success: false,
+        message: 'Please verify your email address first',
+        error: 'EMAIL_NOT_VERIFIED'
+    });
+};
+
+module.exports = requireVerified;
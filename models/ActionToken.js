@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Single-use token sent by email (password reset, email verification).
+// Only a hash of the token is stored.
+const actionTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: ['password_reset', 'email_verification'],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+actionTokenSchema.index({ user: 1, purpose: 1 });
+// Let MongoDB drop expired tokens on its own
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ActionToken', actionTokenSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Record of a privileged action. Entries are append-only: updates and
+// deletes are refused at the model level.
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    actorRole: {
+        type: String,
+        required: true
+    },
+    action: {
+        type: String,
+        required: true
+    },
+    targetType: {
+        type: String,
+        default: null
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    ip: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+
+const refuse = function(next) {
+    next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+    if (!this.isNew) return refuse(next);
+    next();
+});
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+    refuse
+);
+auditLogSchema.pre(
+    ['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+    { document: false, query: true },
+    refuse
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, refuse);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
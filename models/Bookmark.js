@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A post saved by a user. Bookmarks are private to their owner.
+const bookmarkSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    },
+    // Optional collection; null means unfiled
+    bookmarkCollection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BookmarkCollection',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+// Newest-first listings, overall and per collection (cursor pagination)
+bookmarkSchema.index({ user: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({ user: 1, bookmarkCollection: 1, createdAt: -1, _id: -1 });
+// Cleanup when posts are deleted
+bookmarkSchema.index({ post: 1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const contentEntities = require('./plugins/contentEntities');
+const editHistory = require('./plugins/editHistory');
+const moderation = require('./plugins/moderation');
+const reactions = require('./plugins/reactions');
 
 const commentSchema = new mongoose.Schema({
     user: {
@@ -11,11 +15,27 @@ const commentSchema = new mongoose.Schema({
         ref: 'Post',
         required: true
     },
+    parentComment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    // 0 for top-level comments, parent depth + 1 for replies
+    depth: {
+        type: Number,
+        default: 0
+    },
+    replyCount: {
+        type: Number,
+        default: 0
+    },
     content: {
         type: String,
         required: true,
         trim: true
     },
+    // Users whose reaction is `like`, kept for older clients (see the
+    // reactions plugin)
     likes: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -24,4 +44,15 @@ const commentSchema = new mongoose.Schema({
     timestamps: true
 });
 
+commentSchema.index({ post: 1, parentComment: 1, createdAt: -1 });
+commentSchema.index({ parentComment: 1, createdAt: -1, _id: -1 });
+
+// Deepest level a reply can be nested at (top-level comments are depth 0)
+commentSchema.statics.MAX_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH) || 3;
+
+commentSchema.plugin(contentEntities);
+commentSchema.plugin(moderation);
+commentSchema.plugin(reactions);
+commentSchema.plugin(editHistory, { targetType: 'comment', fields: ['content'] });
+
 module.exports = mongoose.model('Comment', commentSchema); 
\ No newline at end of file
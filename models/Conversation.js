@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Largest group conversation, counting its creator
+const MAX_PARTICIPANTS = parseInt(process.env.CONVERSATION_MAX_PARTICIPANTS) || 10;
+
+const conversationSchema = new mongoose.Schema({
+    participants: {
+        type: [{
+            _id: false,
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            // Messages after this are unread for the participant
+            lastReadAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        validate: [
+            participants => participants.length >= 2 && participants.length <= MAX_PARTICIPANTS,
+            `A conversation needs between 2 and ${MAX_PARTICIPANTS} participants`
+        ]
+    },
+    isGroup: {
+        type: Boolean,
+        default: false
+    },
+    // Optional title for group conversations
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: ''
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Sorted pair of user ids; keeps one-to-one conversations unique
+    directKey: {
+        type: String
+    },
+    // Snapshot of the newest message for conversation lists
+    lastMessage: {
+        _id: false,
+        message: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message'
+        },
+        sender: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        content: String,
+        createdAt: Date
+    },
+    lastMessageAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// A user's conversations, most recently active first
+conversationSchema.index({ 'participants.user': 1, lastMessageAt: -1 });
+conversationSchema.index({ directKey: 1 }, { unique: true, partialFilterExpression: { directKey: { $exists: true } } });
+
+conversationSchema.statics.MAX_PARTICIPANTS = MAX_PARTICIPANTS;
+
+conversationSchema.statics.directKeyFor = (a, b) => [a.toString(), b.toString()].sort().join(':');
+
+conversationSchema.methods.participantFor = function(userId) {
+    return this.participants.find(participant =>
+        (participant.user._id || participant.user).toString() === userId.toString());
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A user's request for a copy of their data. The archive is built in the
+// background; `progress` (0-100) and `step` report how far along it is.
+const dataExportSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+        default: 'pending'
+    },
+    progress: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+    },
+    // The part of the archive being built
+    step: {
+        type: String,
+        default: null
+    },
+    // File name under the export directory, once built
+    fileKey: {
+        type: String,
+        default: null
+    },
+    size: {
+        type: Number,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    // The archive is deleted and can't be downloaded after this
+    expiresAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
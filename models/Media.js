@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const variantSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    width: Number,
+    height: Number,
+    size: Number
+}, { _id: false });
+
+// An uploaded, processed image. `original` is the re-encoded full-size image
+// (metadata stripped); `thumbnails` are the resized variants.
+const mediaSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    original: {
+        type: variantSchema,
+        required: true
+    },
+    thumbnails: [variantSchema]
+}, {
+    timestamps: true
+});
+
+mediaSchema.index({ owner: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Media', mediaSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+    conversation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: true
+    },
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    content: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 2000
+    }
+}, {
+    timestamps: true
+});
+
+// Newest-first history of a conversation (cursor pagination)
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -1,5 +1,35 @@
 const mongoose = require('mongoose');
 
+const TYPES = [
+    'like',
+    'reaction',
+    'comment',
+    'reply',
+    'mention',
+    'repost',
+    'quote',
+    'comment_like',
+    'comment_reaction',
+    'message',
+    'follow',
+    'follow_request',
+    'follow_accepted',
+    'warning'
+];
+
+// Types that are always about a post
+const POST_TYPES = [
+    'like',
+    'reaction',
+    'comment',
+    'reply',
+    'mention',
+    'repost',
+    'quote',
+    'comment_like',
+    'comment_reaction'
+];
+
 const notificationSchema = new mongoose.Schema({
     recipient: {
         type: mongoose.Schema.Types.ObjectId,
@@ -11,14 +41,33 @@ const notificationSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // Only set for notifications about a post
     post: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Post',
-        required: true
+        required: function() {
+            return POST_TYPES.includes(this.type);
+        }
+    },
+    // Set for notifications about a comment (replies, comment likes and reactions)
+    comment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment'
+    },
+    // Only set for `quote` notifications: the quote, while `post` is the
+    // recipient's post that was quoted
+    quote: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post'
+    },
+    // Only set for `message` notifications
+    conversation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation'
     },
     type: {
         type: String,
-        enum: ['like', 'comment'],
+        enum: TYPES,
         required: true
     },
     content: {
@@ -33,4 +82,9 @@ const notificationSchema = new mongoose.Schema({
     timestamps: true
 });
 
-module.exports = mongoose.model('Notification', notificationSchema); 
\ No newline at end of file
+// Newest-first listing of a user's notifications (cursor pagination)
+notificationSchema.index({ recipient: 1, createdAt: -1, _id: -1 });
+
+notificationSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const contentEntities = require('./plugins/contentEntities');
+const editHistory = require('./plugins/editHistory');
+const moderation = require('./plugins/moderation');
+const reactions = require('./plugins/reactions');
 
 const postSchema = new mongoose.Schema({
     user: {
@@ -6,14 +10,62 @@ const postSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // `repost` is a plain boost of `repostOf`; `quote` is a post with its
+    // own content that embeds `quoteOf`
+    kind: {
+        type: String,
+        enum: ['post', 'repost', 'quote'],
+        default: 'post'
+    },
+    repostOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post'
+    },
+    quoteOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post'
+    },
+    // Set on quotes when the quoted post is deleted
+    quotedPostDeleted: {
+        type: Boolean,
+        default: false
+    },
     content: {
         type: String,
-        required: true,
-        trim: true
+        required: function() {
+            return this.kind !== 'repost';
+        },
+        trim: true,
+        default: ''
     },
+    // Legacy free-form image URL; new clients attach uploaded `media` instead
     image: {
         type: String
     },
+    // Snapshot of uploaded media so post lists don't need another lookup
+    media: {
+        type: [{
+            _id: false,
+            media: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Media',
+                required: true
+            },
+            url: String,
+            thumbnailUrl: String,
+            width: Number,
+            height: Number,
+            altText: {
+                type: String,
+                trim: true,
+                maxlength: 1000,
+                default: ''
+            }
+        }],
+        validate: [media => media.length <= 4, 'A post can have at most 4 media items']
+    },
+    // Users whose reaction is `like`, kept for older clients (see the
+    // reactions plugin)
     likes: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -21,9 +73,40 @@ const postSchema = new mongoose.Schema({
     comments: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Comment'
-    }]
+    }],
+    repostCount: {
+        type: Number,
+        default: 0
+    },
+    quoteCount: {
+        type: Number,
+        default: 0
+    },
+    // Copy of the author's isPrivate, so lists can leave out private
+    // accounts' posts without looking the accounts up
+    authorIsPrivate: {
+        type: Boolean,
+        default: false
+    }
 }, {
     timestamps: true
 });
 
+// Newest-first listings, globally and per author (cursor pagination)
+postSchema.index({ createdAt: -1, _id: -1 });
+postSchema.index({ user: 1, createdAt: -1, _id: -1 });
+// Full-text search over post content
+postSchema.index({ content: 'text' });
+// Newest-first listing of posts with a hashtag
+postSchema.index({ hashtags: 1, createdAt: -1, _id: -1 });
+// One repost per user per post; lookups of a post's reposts and quotes
+postSchema.index({ user: 1, repostOf: 1 }, { unique: true, partialFilterExpression: { repostOf: { $exists: true } } });
+postSchema.index({ repostOf: 1 });
+postSchema.index({ quoteOf: 1 });
+
+postSchema.plugin(contentEntities);
+postSchema.plugin(moderation);
+postSchema.plugin(reactions);
+postSchema.plugin(editHistory, { targetType: 'post', fields: ['content', 'image', 'media'] });
+
 module.exports = mongoose.model('Post', postSchema); 
\ No newline at end of file
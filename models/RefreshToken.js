@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Server-side record of an issued refresh token. Only a hash of the token is
+// stored. Every login starts a new `family`; each refresh rotates the token
+// within that family, so presenting an already-rotated token revokes the
+// whole family.
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    family: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    // Set when this token is exchanged for a new one
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    revoked: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+refreshTokenSchema.index({ family: 1, revoked: 1 });
+refreshTokenSchema.index({ user: 1, revoked: 1 });
+// Let MongoDB drop expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
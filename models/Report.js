@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const REASONS = [
+    'spam',
+    'harassment',
+    'hate_speech',
+    'violence',
+    'nudity',
+    'self_harm',
+    'misinformation',
+    'impersonation',
+    'other'
+];
+
+const ACTIONS = ['hide', 'delete', 'warn', 'suspend', 'dismiss'];
+
+const reportSchema = new mongoose.Schema({
+    reporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    targetType: {
+        type: String,
+        enum: ['post', 'comment', 'user'],
+        required: true
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Owner of the reported content (the user itself for account reports)
+    targetUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: REASONS,
+        required: true
+    },
+    details: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['open', 'claimed', 'resolved'],
+        default: 'open'
+    },
+    claimedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    claimedAt: {
+        type: Date,
+        default: null
+    },
+    resolution: {
+        action: {
+            type: String,
+            enum: ACTIONS
+        },
+        note: String,
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        resolvedAt: Date
+    }
+}, {
+    timestamps: true
+});
+
+reportSchema.index({ status: 1, createdAt: -1, _id: -1 });
+reportSchema.index({ targetType: 1, target: 1, status: 1 });
+reportSchema.index({ reporter: 1, targetType: 1, target: 1 });
+
+reportSchema.statics.REASONS = REASONS;
+reportSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('Report', reportSchema);
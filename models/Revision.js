@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// An earlier version of an edited post or comment (see the editHistory
+// plugin). Comment revisions only carry `content`.
+const revisionSchema = new mongoose.Schema({
+    targetType: {
+        type: String,
+        enum: ['post', 'comment'],
+        required: true
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    content: String,
+    image: String,
+    // Snapshot of the post's media attachments at the time
+    media: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: undefined
+    },
+    // When this version was published, and when an edit replaced it
+    writtenAt: {
+        type: Date,
+        required: true
+    },
+    replacedAt: {
+        type: Date,
+        required: true
+    }
+});
+
+revisionSchema.index({ targetType: 1, target: 1, replacedAt: -1 });
+
+module.exports = mongoose.model('Revision', revisionSchema);
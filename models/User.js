@@ -21,10 +21,20 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // URL of the current profile picture, kept alongside the media it came from
   profilePicture: {
     type: String,
     default: ''
   },
+  profilePictureMedia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    default: null
+  },
   bio: {
     type: String,
     default: ''
@@ -36,11 +46,82 @@ const userSchema = new mongoose.Schema({
   following: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  // Private accounts approve followers; pending requesters wait in followRequests
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  followRequests: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Notification types this user turned off ({ like: false }); types that
+  // aren't listed are on
+  notificationPreferences: {
+    type: Map,
+    of: Boolean,
+    default: {}
+  },
+  // Who may start a conversation with this user. People they follow always can.
+  messagePolicy: {
+    type: String,
+    enum: ['everyone', 'following', 'nobody'],
+    default: 'everyone'
+  },
+  // Blocking stops all interaction both ways; muting only hides content
+  blocked: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  muted: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
+  // Set by moderators; the account can't authenticate until this passes
+  suspendedUntil: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    default: ''
+  },
+  warnings: [{
+    reason: String,
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Access tokens issued before this moment are rejected
+  passwordChangedAt: {
+    type: Date
+  },
+  // Set when the owner deletes the account. It's hidden everywhere, logging
+  // in during the grace period restores it, and after that it's purged.
+  deactivatedAt: {
+    type: Date,
+    default: null
+  }
 }, {
   timestamps: true
 });
 
+userSchema.index({ blocked: 1 });
+userSchema.index({ deactivatedAt: 1 }, { partialFilterExpression: { deactivatedAt: { $type: 'date' } } });
+// Full-text search, with username matches ranked above bio matches
+userSchema.index({ username: 'text', bio: 'text' }, { weights: { username: 10, bio: 1 } });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -48,12 +129,25 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Filter for accounts that haven't been deactivated; also matches documents
+// created before the field existed
+userSchema.statics.ACTIVE = { deactivatedAt: null };
+
+userSchema.methods.isDeactivated = function() {
+  return Boolean(this.deactivatedAt);
+};
+
+userSchema.methods.isSuspended = function() {
+  return Boolean(this.suspendedUntil) && this.suspendedUntil > new Date();
+};
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
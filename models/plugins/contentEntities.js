@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { parseEntities } = require('../../utils/entities');
+
+const entitySchema = {
+    start: Number,
+    end: Number
+};
+
+// Parses hashtags and @mentions out of `content` whenever it changes.
+// Adds indexed `hashtags` (normalized tags) and `mentions` (user ids) for
+// querying, and `entities` with character offsets for clients to render.
+// Users newly mentioned by a save are left in `doc.$locals.newMentions`.
+const contentEntities = (schema) => {
+    schema.add({
+        hashtags: {
+            type: [String],
+            index: true
+        },
+        mentions: {
+            type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+            index: true
+        },
+        entities: {
+            hashtags: [{ _id: false, tag: String, ...entitySchema }],
+            mentions: [{
+                _id: false,
+                username: String,
+                user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+                ...entitySchema
+            }]
+        }
+    });
+
+    schema.pre('validate', async function() {
+        if (!this.isModified('content')) {
+            this.$locals.newMentions = [];
+            return;
+        }
+
+        const { hashtags, mentions } = parseEntities(this.content);
+
+        // Only link mentions that match a real account. Usernames are
+        // case-sensitive, which also lets the lookup use the unique index.
+        const usernames = [...new Set(mentions.map(mention => mention.username))];
+        const users = usernames.length > 0
+            ? await mongoose.model('User')
+                .find({ username: { $in: usernames } })
+                .select('username')
+            : [];
+        const byName = new Map(users.map(user => [user.username, user._id]));
+
+        const linked = mentions
+            .filter(mention => byName.has(mention.username))
+            .map(mention => ({ ...mention, user: byName.get(mention.username) }));
+
+        const previous = new Set((this.mentions || []).map(id => id.toString()));
+        const current = [...new Map(linked.map(mention => [mention.user.toString(), mention.user])).values()];
+
+        this.$locals.newMentions = current.filter(id => !previous.has(id.toString()));
+        this.hashtags = [...new Set(hashtags.map(hashtag => hashtag.tag))];
+        this.mentions = current;
+        this.entities = { hashtags, mentions: linked };
+    });
+};
+
+module.exports = contentEntities;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { runInTransaction } = require('../../utils/transactions');
+
+// Minutes after posting that content can still be edited; "off" lifts the limit
+const EDIT_WINDOW_MINUTES = process.env.EDIT_WINDOW_MINUTES === 'off'
+    ? null
+    : parseInt(process.env.EDIT_WINDOW_MINUTES) || 60;
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const snapshot = (doc, fields) => Object.fromEntries(fields.map(field => [field, clone(doc.get(field))]));
+
+// Keeps the history of user content. Edits go through `saveEdit()`: when one
+// changes any of `fields`, the version it replaces is stored as a Revision and
+// the document is marked `edited` with `editedAt`. Routes should check
+// `isEditable()` first.
+const editHistory = (schema, { targetType, fields }) => {
+    schema.add({
+        edited: {
+            type: Boolean,
+            default: false
+        },
+        editedAt: {
+            type: Date,
+            default: null
+        }
+    });
+
+    schema.statics.EDIT_WINDOW_MINUTES = EDIT_WINDOW_MINUTES;
+
+    schema.methods.isEditable = function() {
+        return EDIT_WINDOW_MINUTES === null ||
+            Date.now() - this.createdAt.getTime() <= EDIT_WINDOW_MINUTES * 60 * 1000;
+    };
+
+    // Applies an edit and saves it. When it changes one of `fields`, the
+    // replaced version is written as a Revision in the same transaction as
+    // the edit.
+    // Keys left undefined in `changes` are kept as they are.
+    schema.methods.saveEdit = async function(changes) {
+        const previous = snapshot(this, fields);
+        Object.entries(changes)
+            .filter(([, value]) => value !== undefined)
+            .forEach(([field, value]) => this.set(field, value));
+
+        const changed = fields.some(field =>
+            JSON.stringify(previous[field]) !== JSON.stringify(clone(this.get(field))));
+        if (!changed) return this.save();
+
+        const now = new Date();
+        const revision = {
+            targetType,
+            target: this._id,
+            ...previous,
+            writtenAt: this.editedAt || this.createdAt,
+            replacedAt: now
+        };
+        this.edited = true;
+        this.editedAt = now;
+        this.updatedAt = now;
+
+        // Validating runs the other plugins' hooks (re-parsing entities) once,
+        // up front. The edit is then written as a plain update of everything
+        // that changed, so a retried transaction writes all of it again; a
+        // retried save() would find nothing left to save.
+        await this.validate();
+        const update = Object.fromEntries(this.directModifiedPaths().map(path => [path, this.get(path)]));
+
+        await runInTransaction(async (session) => {
+            await mongoose.model('Revision').create([revision], { session });
+            await this.constructor.updateOne({ _id: this._id }, { $set: update }, { session, timestamps: false });
+        });
+        return this;
+    };
+};
+
+module.exports = editHistory;
@@ -0,0 +1,31 @@
+// Adds a moderation status to user content. Hidden and removed content must
+// be left out of every read route; filter with `Model.VISIBLE`, which also
+// matches documents created before the field existed. Content of deactivated
+// accounts is left out the same way.
+const moderation = (schema) => {
+    schema.add({
+        moderationStatus: {
+            type: String,
+            enum: ['visible', 'hidden', 'removed'],
+            default: 'visible',
+            index: true
+        },
+        // Set on everything a user wrote while their account is deactivated
+        authorDeactivated: {
+            type: Boolean,
+            default: false
+        }
+    });
+
+    schema.statics.VISIBLE = {
+        moderationStatus: { $nin: ['hidden', 'removed'] },
+        authorDeactivated: { $ne: true }
+    };
+
+    // Whether the content must be treated as missing
+    schema.methods.isModerated = function() {
+        return ['hidden', 'removed'].includes(this.moderationStatus) || Boolean(this.authorDeactivated);
+    };
+};
+
+module.exports = moderation;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Reaction types users can pick from, e.g. "like,love,haha". `like` is always
+// available because the legacy like endpoints map onto it.
+const REACTION_TYPES = [...new Set([
+    'like',
+    ...(process.env.REACTION_TYPES || 'love,haha,wow,sad,angry')
+        .split(',')
+        .map(type => type.trim().toLowerCase())
+        .filter(Boolean)
+])];
+
+// Adds emoji reactions to user content: one reaction per user, with per-type
+// counts kept in `reactionCounts`. The legacy `likes` array is kept in sync
+// with the users whose reaction is `like`.
+const reactions = (schema) => {
+    schema.add({
+        reactions: [{
+            _id: false,
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            type: {
+                type: String,
+                enum: REACTION_TYPES,
+                required: true
+            }
+        }],
+        // { like: 3, love: 1 }; types nobody picked may be missing
+        reactionCounts: {
+            type: mongoose.Schema.Types.Mixed,
+            default: () => ({})
+        }
+    });
+
+    schema.statics.REACTION_TYPES = REACTION_TYPES;
+
+    // The type of `userId`'s reaction, or null
+    schema.methods.reactionOf = function(userId) {
+        const reaction = (this.reactions || []).find(item => item.user.toString() === userId.toString());
+        return reaction ? reaction.type : null;
+    };
+};
+
+module.exports = reactions;
@@ -0,0 +1,248 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { recordAudit } = require('../services/auditLog');
+const { DEFAULT_SUSPENSION_DAYS, suspendUser } = require('../services/moderation');
+const { runConsistencyCheck } = require('../services/consistency');
+const { escapeRegex } = require('../services/search');
+const { ROLES, outranks, insufficientRoleResponse } = require('../utils/permissions');
+const { parsePagination, paginate, invalidCursorResponse } = require('../utils/pagination');
+
+router.use(auth);
+
+const validationFailed = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array().map(err => ({
+            field: err.path,
+            message: err.msg
+        }))
+    });
+    return true;
+};
+
+// Loads the :id user, refusing to act on the caller's own account
+const loadOtherUser = async (req, res) => {
+    if (req.params.id === req.user._id.toString()) {
+        res.status(400).json({ message: 'You cannot do this to your own account' });
+        return null;
+    }
+
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) && await User.findById(req.params.id);
+    if (!user) {
+        res.status(404).json({ message: 'User not found' });
+        return null;
+    }
+
+    return user;
+};
+
+// List users, optionally filtered by role, suspension or username prefix
+router.get('/users', requirePermission('users:read'), async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query, { defaultLimit: 20 });
+        if (!pagination) {
+            return invalidCursorResponse(res);
+        }
+
+        const filter = {};
+        if (req.query.role) filter.role = req.query.role;
+        if (req.query.suspended === 'true') filter.suspendedUntil = { $gt: new Date() };
+        if (req.query.q) {
+            filter.username = { $regex: `^${escapeRegex(String(req.query.q))}`, $options: 'i' };
+        }
+
+        const { items: users, nextCursor, prevCursor, hasMore } = await paginate(
+            User, filter, pagination,
+            (query) => query.select('username email role emailVerified suspendedUntil suspensionReason warnings createdAt')
+        );
+
+        res.json({
+            users,
+            nextCursor,
+            prevCursor,
+            hasMore
+        });
+    } catch (error) {
+        console.error('Error listing users:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Suspend a user
+router.post('/users/:id/suspend', requirePermission('users:suspend'), [
+    body('days').optional().isInt({ min: 1, max: 3650 }).toInt(),
+    body('reason').optional().isString().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        const user = await loadOtherUser(req, res);
+        if (!user) return;
+
+        if (!outranks(req.user, user)) {
+            await recordAudit(req, 'user.suspend.denied', {
+                targetType: 'user',
+                target: user._id,
+                details: { targetRole: user.role }
+            });
+            return insufficientRoleResponse(res);
+        }
+
+        const days = req.body.days || DEFAULT_SUSPENSION_DAYS;
+        await suspendUser(user._id, req.body.reason, days);
+
+        await recordAudit(req, 'user.suspend', {
+            targetType: 'user',
+            target: user._id,
+            details: { days, reason: req.body.reason || '' }
+        });
+
+        res.json({ message: 'User suspended', days });
+    } catch (error) {
+        console.error('Error suspending user:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Lift a user's suspension
+router.post('/users/:id/restore', requirePermission('users:suspend'), async (req, res) => {
+    try {
+        const user = await loadOtherUser(req, res);
+        if (!user) return;
+
+        if (!user.isSuspended()) {
+            return res.status(400).json({ message: 'User is not suspended' });
+        }
+
+        const previous = user.suspendedUntil;
+        user.suspendedUntil = null;
+        user.suspensionReason = '';
+        await user.save();
+
+        await recordAudit(req, 'user.restore', {
+            targetType: 'user',
+            target: user._id,
+            details: { suspendedUntil: previous }
+        });
+
+        res.json({ message: 'User restored' });
+    } catch (error) {
+        console.error('Error restoring user:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Change a user's role
+router.put('/users/:id/role', requirePermission('users:manage-roles'), [
+    body('role').isIn(ROLES)
+], async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        const user = await loadOtherUser(req, res);
+        if (!user) return;
+
+        // Only accounts below the caller, and never to a role above theirs
+        if (!outranks(req.user, user) || outranks({ role: req.body.role }, req.user)) {
+            await recordAudit(req, 'user.role.change.denied', {
+                targetType: 'user',
+                target: user._id,
+                details: { targetRole: user.role, requestedRole: req.body.role }
+            });
+            return insufficientRoleResponse(res);
+        }
+
+        const previous = user.role;
+        user.role = req.body.role;
+        await user.save();
+
+        await recordAudit(req, 'user.role.change', {
+            targetType: 'user',
+            target: user._id,
+            details: { from: previous, to: user.role }
+        });
+
+        res.json({ message: 'Role updated', role: user.role });
+    } catch (error) {
+        console.error('Error changing role:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Query the audit log
+router.get('/audit-log', requirePermission('audit:read'), async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query, { defaultLimit: 50 });
+        if (!pagination) {
+            return invalidCursorResponse(res);
+        }
+
+        const filter = {};
+        for (const field of ['actor', 'target']) {
+            if (req.query[field]) {
+                if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+                    return res.status(400).json({ message: `${field} must be a valid id` });
+                }
+                filter[field] = req.query[field];
+            }
+        }
+        if (req.query.action) filter.action = req.query.action;
+        if (req.query.targetType) filter.targetType = req.query.targetType;
+
+        const { items: entries, nextCursor, prevCursor, hasMore } = await paginate(
+            AuditLog, filter, pagination,
+            (query) => query.populate('actor', 'username role')
+        );
+
+        res.json({
+            entries,
+            nextCursor,
+            prevCursor,
+            hasMore
+        });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Find references to deleted users, posts, comments and conversations; with
+// `repair: true` clean them up as if the deletion had cascaded
+router.post('/maintenance/consistency-check', requirePermission('maintenance:run'), [
+    body('repair').optional().isBoolean().withMessage('repair must be true or false')
+], async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        const repair = req.body.repair === true || req.body.repair === 'true';
+        const report = await runConsistencyCheck({ repair });
+
+        const missing = Object.fromEntries(
+            Object.entries(report.checks).map(([name, check]) => [name, check.missing])
+        );
+        await recordAudit(req, 'maintenance.consistency-check', {
+            details: { repaired: repair, missing }
+        });
+
+        res.json({ success: true, ...report });
+    } catch (error) {
+        console.error('Error running consistency check:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Consistency check failed',
+            error: 'CONSISTENCY_CHECK_FAILED'
+        });
+    }
+});
+
+module.exports = router;
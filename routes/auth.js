@@ -1,13 +1,40 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { parsePagination, paginate, invalidCursorResponse } = require('../utils/pagination');
+const { populatePostList } = require('../utils/populate');
+const { applyRepostVisibility } = require('../services/reposts');
+const { withMyReaction } = require('../services/reactions');
 const Post = require('../models/Post');
+const {
+    issueTokens,
+    rotateRefreshToken,
+    revokeFamily,
+    revokeAllForUser,
+    createActionToken,
+    consumeActionToken
+} = require('../services/tokenService');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/mailer');
+const { canReactivate, reactivateAccount } = require('../services/accountDeactivation');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
+const VERIFY_TOKEN_TTL_MINUTES = parseInt(process.env.VERIFY_TOKEN_TTL_MINUTES) || 24 * 60;
+
+// Emails a fresh verification link; failures are logged, not surfaced
+const sendVerification = async (user) => {
+    try {
+        const token = await createActionToken(user._id, 'email_verification', VERIFY_TOKEN_TTL_MINUTES);
+        await sendVerificationEmail(user, token);
+    } catch (error) {
+        console.error('Error sending verification email:', error);
+    }
+};
 
 // Register user
-router.post('/register', [
+router.post('/register', rateLimit('register'), [
     body('username')
         .trim()
         .isLength({ min: 3 })
@@ -105,12 +132,10 @@ router.post('/register', [
             email: user.email
         });
 
-        // Create JWT token
-        const token = jwt.sign(
-            { userId: user._id },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '24h' }
-        );
+        await sendVerification(user);
+
+        // Create access and refresh tokens
+        const { token, refreshToken } = await issueTokens(user._id);
         console.log('JWT token created');
 
         console.log('Registration successful');
@@ -119,10 +144,12 @@ router.post('/register', [
         res.status(201).json({
             success: true,
             token,
+            refreshToken,
             user: {
                 id: user._id,
                 username: user.username,
-                email: user.email
+                email: user.email,
+                emailVerified: user.emailVerified
             }
         });
     } catch (error) {
@@ -140,7 +167,7 @@ router.post('/register', [
 });
 
 // Login user
-router.post('/login', [
+router.post('/login', rateLimit('login_ip'), rateLimit('login'), [
     body(['login', 'username', 'email']).optional().trim(),
     body('password').exists()
 ], async (req, res) => {
@@ -199,12 +226,32 @@ router.post('/login', [
 
         console.log('Password verified');
 
-        // Create JWT token
-        const token = jwt.sign(
-            { userId: user._id },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '24h' }
-        );
+        // After the grace period a deactivated account is as good as deleted
+        if (user.isDeactivated() && !canReactivate(user)) {
+            console.log('Account deactivated past grace period');
+            return res.status(400).json({ message: 'Invalid credentials' });
+        }
+
+        if (user.isSuspended()) {
+            console.log('Account suspended');
+            return res.status(403).json({
+                success: false,
+                message: 'Account is suspended',
+                error: 'ACCOUNT_SUSPENDED',
+                suspendedUntil: user.suspendedUntil
+            });
+        }
+
+        // Logging in during the grace period restores a deactivated account
+        let reactivated = false;
+        if (user.isDeactivated()) {
+            await reactivateAccount(user);
+            reactivated = true;
+            console.log('Account reactivated');
+        }
+
+        // Create access and refresh tokens
+        const { token, refreshToken } = await issueTokens(user._id);
         console.log('JWT token created');
 
         console.log('Login successful');
@@ -213,10 +260,13 @@ router.post('/login', [
         res.json({
             success: true,
             token,
+            refreshToken,
+            reactivated,
             user: {
                 id: user._id,
                 username: user.username,
-                email: user.email
+                email: user.email,
+                emailVerified: user.emailVerified
             }
         });
     } catch (error) {
@@ -233,34 +283,269 @@ router.post('/login', [
     }
 });
 
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+    body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required',
+                error: 'REFRESH_TOKEN_MISSING'
+            });
+        }
+
+        const result = await rotateRefreshToken(req.body.refreshToken);
+
+        if (result.error) {
+            if (result.error === 'REFRESH_TOKEN_REUSED') {
+                console.warn('Refresh token reuse detected, session revoked');
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token',
+                error: result.error
+            });
+        }
+
+        const user = await User.findById(result.userId);
+        if (!user || user.isDeactivated()) {
+            return res.status(401).json({
+                success: false,
+                message: 'User not found',
+                error: 'USER_NOT_FOUND'
+            });
+        }
+
+        if (user.isSuspended()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Account is suspended',
+                error: 'ACCOUNT_SUSPENDED',
+                suspendedUntil: user.suspendedUntil
+            });
+        }
+
+        res.json({
+            success: true,
+            token: result.token,
+            refreshToken: result.refreshToken
+        });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: 'REFRESH_FAILED'
+        });
+    }
+});
+
+// Log out of the current session
+router.post('/logout', auth, async (req, res) => {
+    try {
+        if (req.tokenFamily) {
+            await revokeFamily(req.tokenFamily);
+        }
+
+        res.json({ success: true, message: 'Logged out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: 'LOGOUT_FAILED'
+        });
+    }
+});
+
+// Log out of every session for the current user
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        const result = await revokeAllForUser(req.user._id);
+
+        res.json({
+            success: true,
+            message: 'Logged out of all sessions',
+            revokedCount: result.modifiedCount
+        });
+    } catch (error) {
+        console.error('Logout-all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: 'LOGOUT_FAILED'
+        });
+    }
+});
+
+// Request a password reset email
+router.post('/forgot-password', rateLimit('password_reset'), [
+    body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid email is required',
+                error: 'INVALID_EMAIL'
+            });
+        }
+
+        const user = await User.findOne({ email: req.body.email });
+
+        // Same response either way so the endpoint can't be used to probe
+        // for accounts; a failed send is only logged for the same reason
+        if (user) {
+            try {
+                const token = await createActionToken(user._id, 'password_reset', RESET_TOKEN_TTL_MINUTES);
+                await sendPasswordResetEmail(user, token);
+            } catch (error) {
+                console.error('Error sending password reset email:', error);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for that email, a reset link has been sent'
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: 'FORGOT_PASSWORD_FAILED'
+        });
+    }
+});
+
+// Set a new password using an emailed reset token
+router.post('/reset-password', [
+    body('token').isString().notEmpty(),
+    body('password').isLength({ min: 6 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array().map(err => ({
+                    field: err.path,
+                    message: err.msg
+                }))
+            });
+        }
+
+        const userId = await consumeActionToken(req.body.token, 'password_reset');
+        const user = userId && await User.findById(userId);
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired reset token',
+                error: 'INVALID_RESET_TOKEN'
+            });
+        }
+
+        // Saving sets passwordChangedAt, which invalidates older access tokens
+        user.password = req.body.password;
+        // Receiving the reset link proves ownership of the address
+        user.emailVerified = true;
+        await user.save();
+        await revokeAllForUser(user._id);
+
+        res.json({ success: true, message: 'Password has been reset' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: 'RESET_PASSWORD_FAILED'
+        });
+    }
+});
+
+// Confirm an email address using an emailed verification token
+router.post('/verify-email', [
+    body('token').isString().notEmpty()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification token is required',
+                error: 'INVALID_VERIFICATION_TOKEN'
+            });
+        }
+
+        const userId = await consumeActionToken(req.body.token, 'email_verification');
+        const user = userId && await User.findByIdAndUpdate(userId, { emailVerified: true });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired verification token',
+                error: 'INVALID_VERIFICATION_TOKEN'
+            });
+        }
+
+        res.json({ success: true, message: 'Email verified' });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: 'VERIFY_EMAIL_FAILED'
+        });
+    }
+});
+
+// Send a new verification email to the current user
+router.post('/verify-email/resend', auth, async (req, res) => {
+    try {
+        if (req.user.emailVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is already verified',
+                error: 'EMAIL_ALREADY_VERIFIED'
+            });
+        }
+
+        await sendVerification(req.user);
+
+        res.json({ success: true, message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
 // Get current user
 router.get('/me', auth, async (req, res) => {
     try {
         // Get user profile with followers and following
         const user = await User.findById(req.user._id)
             .select('-password')
-            .populate('followers', 'username profilePicture')
-            .populate('following', 'username profilePicture');
+            .populate({ path: 'followers', select: 'username profilePicture', match: User.ACTIVE })
+            .populate({ path: 'following', select: 'username profilePicture', match: User.ACTIVE });
 
         // Get user's posts with pagination
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
-
-        const posts = await Post.find({ user: req.user._id })
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit)
-            .populate('user', 'username profilePicture')
-            .populate({
-                path: 'comments',
-                populate: {
-                    path: 'user',
-                    select: 'username profilePicture'
-                }
-            });
+        const pagination = parsePagination(req.query);
+        if (!pagination) {
+            return invalidCursorResponse(res);
+        }
 
-        const totalPosts = await Post.countDocuments({ user: req.user._id });
+        const { items, nextCursor, prevCursor, hasMore } = await paginate(
+            Post, { user: req.user._id, ...Post.VISIBLE }, pagination, populatePostList
+        );
+        const posts = withMyReaction(await applyRepostVisibility(items, req.user), req.user);
+
+        const totalPosts = await Post.countDocuments({ user: req.user._id, ...Post.VISIBLE });
 
         // Get user's stats
         const stats = {
@@ -269,14 +554,23 @@ router.get('/me', auth, async (req, res) => {
             followingCount: user.following.length
         };
 
-        res.json({
+        const response = {
             user,
             posts,
             stats,
-            currentPage: page,
-            totalPages: Math.ceil(totalPosts / limit),
+            nextCursor,
+            prevCursor,
+            hasMore,
             totalPosts
-        });
+        };
+
+        // Legacy page-based fields, kept while clients migrate to cursors
+        if (pagination.page) {
+            response.currentPage = pagination.page;
+            response.totalPages = Math.ceil(totalPosts / pagination.limit);
+        }
+
+        res.json(response);
     } catch (error) {
         console.error('Error fetching user profile:', error);
         res.status(500).json({ message: 'Server error' });
@@ -287,16 +581,18 @@ router.get('/me', auth, async (req, res) => {
 router.get('/following/:userId', auth, async (req, res) => {
     try {
         const currentUser = await User.findById(req.user._id);
-        const targetUser = await User.findById(req.params.userId);
+        const targetUser = await User.findOne({ _id: req.params.userId, ...User.ACTIVE });
 
         if (!targetUser) {
             return res.status(404).json({ message: 'User not found' });
         }
 
         const isFollowing = currentUser.following.includes(req.params.userId);
+        const isRequested = targetUser.followRequests.includes(currentUser._id);
 
         res.json({
             isFollowing,
+            isRequested,
             currentUserId: currentUser._id,
             targetUserId: targetUser._id
         });
@@ -0,0 +1,250 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Bookmark = require('../models/Bookmark');
+const BookmarkCollection = require('../models/BookmarkCollection');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const auth = require('../middleware/auth');
+const { canViewPost, visiblePostsFilter } = require('../services/visibility');
+const { parsePagination, paginate, invalidCursorResponse } = require('../utils/pagination');
+
+// Bookmarks are private, so every route works on the caller's own
+router.use(auth);
+
+const validationFailed = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array().map(err => ({
+            field: err.path,
+            message: err.msg
+        }))
+    });
+    return true;
+};
+
+const findOwnCollection = (req, id) => mongoose.Types.ObjectId.isValid(id)
+    ? BookmarkCollection.findOne({ _id: id, user: req.user._id })
+    : null;
+
+const duplicateNameResponse = (res) => res.status(409).json({
+    success: false,
+    message: 'You already have a collection with this name',
+    error: 'DUPLICATE_COLLECTION'
+});
+
+// List your collections with how many bookmarks each holds
+router.get('/collections', async (req, res) => {
+    try {
+        const collections = await BookmarkCollection.find({ user: req.user._id }).sort({ name: 1 });
+
+        const counts = await Bookmark.aggregate([
+            { $match: { user: req.user._id } },
+            { $group: { _id: '$bookmarkCollection', count: { $sum: 1 } } }
+        ]);
+        const countById = new Map(counts.map(entry => [String(entry._id), entry.count]));
+
+        res.json({
+            collections: collections.map(collection => ({
+                ...collection.toObject(),
+                bookmarkCount: countById.get(collection._id.toString()) || 0
+            })),
+            unfiledCount: countById.get('null') || 0
+        });
+    } catch (error) {
+        console.error('Error fetching collections:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create a collection
+router.post('/collections', [
+    body('name').isString().trim().isLength({ min: 1, max: 50 })
+], async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        const collection = await BookmarkCollection.create({
+            user: req.user._id,
+            name: req.body.name
+        });
+
+        res.status(201).json(collection);
+    } catch (error) {
+        if (error.code === 11000) {
+            return duplicateNameResponse(res);
+        }
+        console.error('Error creating collection:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Rename a collection
+router.put('/collections/:id', [
+    body('name').isString().trim().isLength({ min: 1, max: 50 })
+], async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        const collection = await findOwnCollection(req, req.params.id);
+        if (!collection) {
+            return res.status(404).json({ message: 'Collection not found' });
+        }
+
+        collection.name = req.body.name;
+        await collection.save();
+
+        res.json(collection);
+    } catch (error) {
+        if (error.code === 11000) {
+            return duplicateNameResponse(res);
+        }
+        console.error('Error renaming collection:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delete a collection; its bookmarks are kept as unfiled
+router.delete('/collections/:id', async (req, res) => {
+    try {
+        const collection = await findOwnCollection(req, req.params.id);
+        if (!collection) {
+            return res.status(404).json({ message: 'Collection not found' });
+        }
+
+        await Bookmark.updateMany(
+            { user: req.user._id, bookmarkCollection: collection._id },
+            { $set: { bookmarkCollection: null } }
+        );
+        await BookmarkCollection.deleteOne({ _id: collection._id });
+
+        res.json({ message: 'Collection deleted' });
+    } catch (error) {
+        console.error('Error deleting collection:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// List saved posts, newest bookmark first. `collection` narrows to one
+// collection, or to unfiled bookmarks with `collection=none`.
+router.get('/', async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query);
+        if (!pagination) {
+            return invalidCursorResponse(res);
+        }
+
+        const filter = { user: req.user._id };
+        if (req.query.collection === 'none') {
+            filter.bookmarkCollection = null;
+        } else if (req.query.collection) {
+            const collection = await findOwnCollection(req, req.query.collection);
+            if (!collection) {
+                return res.status(404).json({ message: 'Collection not found' });
+            }
+            filter.bookmarkCollection = collection._id;
+        }
+
+        // Posts the caller can no longer see (moderated, blocked, made
+        // private) are left out before paging, so pages stay full
+        const postFilter = await visiblePostsFilter(req.user);
+        const saved = await Bookmark.distinct('post', filter);
+        filter.post = { $in: await Post.distinct('_id', { ...postFilter, _id: { $in: saved } }) };
+
+        const { items, nextCursor, prevCursor, hasMore } = await paginate(
+            Bookmark, filter, pagination,
+            (query) => query.populate({
+                path: 'post',
+                match: postFilter,
+                populate: [
+                    { path: 'user', select: 'username profilePicture' },
+                    {
+                        path: 'comments',
+                        match: Comment.VISIBLE,
+                        populate: { path: 'user', select: 'username profilePicture' }
+                    }
+                ]
+            })
+        );
+
+        const bookmarks = items
+            .filter(bookmark => bookmark.post)
+            .map(bookmark => ({
+                _id: bookmark._id,
+                bookmarkCollection: bookmark.bookmarkCollection,
+                savedAt: bookmark.createdAt,
+                post: { ...bookmark.post.toObject(), bookmarkedByMe: true }
+            }));
+
+        res.json({
+            bookmarks,
+            nextCursor,
+            prevCursor,
+            hasMore
+        });
+    } catch (error) {
+        console.error('Error fetching bookmarks:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Bookmark a post, optionally into a collection. Bookmarking a saved post
+// again moves it to the given collection (or to unfiled).
+router.post('/:postId', [
+    body('collectionId').optional({ nullable: true }).custom(value => mongoose.Types.ObjectId.isValid(value))
+], async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.postId) ||
+            !(await canViewPost(req.user, req.params.postId))) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        let collectionId = null;
+        if (req.body.collectionId) {
+            const collection = await findOwnCollection(req, req.body.collectionId);
+            if (!collection) {
+                return res.status(404).json({ message: 'Collection not found' });
+            }
+            collectionId = collection._id;
+        }
+
+        const bookmark = await Bookmark.findOneAndUpdate(
+            { user: req.user._id, post: req.params.postId },
+            { $set: { bookmarkCollection: collectionId } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        res.json(bookmark);
+    } catch (error) {
+        console.error('Error bookmarking post:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Remove a bookmark
+router.delete('/:postId', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.postId)) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        const result = await Bookmark.deleteOne({ user: req.user._id, post: req.params.postId });
+        if (!result.deletedCount) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        res.json({ message: 'Bookmark removed' });
+    } catch (error) {
+        console.error('Error removing bookmark:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -1,46 +1,116 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Comment = require('../models/Comment');
 const Post = require('../models/Post');
-const Notification = require('../models/Notification');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const requireVerified = require('../middleware/requireVerified');
+const optionalAuth = require('../middleware/optionalAuth');
+const {
+    canViewUser,
+    canViewPost,
+    isBlockedBetween,
+    isBlockedWith,
+    excludedUserIds,
+    blockedResponse
+} = require('../services/visibility');
+const { excerpt, notify } = require('../services/notifications');
+const { notifyMentions } = require('../services/mentions');
+const { deleteComment } = require('../services/deletion');
+const { setReaction, withMyReaction } = require('../services/reactions');
+const { editWindowClosedResponse, listRevisions } = require('../services/editHistory');
+const { parsePagination, paginate, invalidCursorResponse } = require('../utils/pagination');
 
-// Create a comment
-router.post('/:postId', auth, async (req, res) => {
+// Preview size for replies embedded under top-level comments
+const REPLY_PREVIEW_LIMIT = 3;
+
+// Create a comment, or a reply when `parentComment` is given
+router.post('/:postId', auth, rateLimit('comment'), requireVerified('comment'), async (req, res) => {
     try {
         const post = await Post.findById(req.params.postId)
-            .populate('user', 'username');
+            .populate('user', 'username isPrivate followers blocked');
 
-        if (!post) {
+        if (!post || post.isModerated() || !post.user || !canViewUser(req.user, post.user)) {
             return res.status(404).json({ message: 'Post not found' });
         }
 
+        if (isBlockedBetween(req.user, post.user)) {
+            return blockedResponse(res);
+        }
+
+        if (post.kind === 'repost') {
+            return res.status(400).json({
+                success: false,
+                message: 'Reposts cannot be commented on; comment on the original post instead',
+                error: 'REPOST_NOT_EDITABLE'
+            });
+        }
+
+        let parent = null;
+        if (req.body.parentComment) {
+            parent = mongoose.Types.ObjectId.isValid(req.body.parentComment) &&
+                await Comment.findById(req.body.parentComment);
+
+            if (!parent || parent.isModerated() || parent.post.toString() !== post._id.toString()) {
+                return res.status(404).json({ message: 'Parent comment not found' });
+            }
+
+            const parentAuthor = await User.findById(parent.user).select('blocked');
+            if (isBlockedBetween(req.user, parentAuthor)) {
+                return blockedResponse(res);
+            }
+
+            if (parent.depth >= Comment.MAX_DEPTH) {
+                return res.status(400).json({
+                    message: `Replies cannot be nested more than ${Comment.MAX_DEPTH} levels deep`,
+                    error: 'REPLY_DEPTH_EXCEEDED'
+                });
+            }
+        }
+
         const newComment = new Comment({
             user: req.user._id,
             post: req.params.postId,
+            parentComment: parent ? parent._id : null,
+            depth: parent ? parent.depth + 1 : 0,
             content: req.body.content
         });
 
         const comment = await newComment.save();
+        await notifyMentions(comment, { sender: req.user, post, postAuthor: post.user });
         await comment.populate('user', 'username profilePicture');
 
         // Add comment to post
         post.comments.push(comment._id);
         await post.save();
 
-        // Create notification if the post owner is not the one commenting
-        if (post.user._id.toString() !== req.user._id.toString()) {
-            const content = `"${post.content.substring(0, 30)}${post.content.length > 30 ? '...' : ''}" commented by ${req.user.username}: "${req.body.content.substring(0, 30)}${req.body.content.length > 30 ? '...' : ''}"`;
+        if (parent) {
+            await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+        }
+
+        // Tell the post owner, unless they're the one commenting
+        await notify({
+            recipient: post.user._id,
+            sender: req.user._id,
+            post: post._id,
+            comment: comment._id,
+            type: 'comment',
+            content: `"${excerpt(post.content)}" commented by ${req.user.username}: "${excerpt(comment.content)}"`
+        });
 
-            const notification = new Notification({
-                recipient: post.user._id,
+        // Let the parent comment's author know about the reply, unless they
+        // already got the post notification above
+        if (parent && parent.user.toString() !== post.user._id.toString()) {
+            await notify({
+                recipient: parent.user,
                 sender: req.user._id,
                 post: post._id,
-                type: 'comment',
-                content
+                comment: comment._id,
+                type: 'reply',
+                content: `${req.user.username} replied to your comment "${excerpt(parent.content)}": "${excerpt(comment.content)}"`
             });
-
-            await notification.save();
         }
 
         res.status(201).json(comment);
@@ -50,15 +120,105 @@ router.post('/:postId', auth, async (req, res) => {
     }
 });
 
-// Get comments for a post - No auth required
-router.get('/post/:postId', async (req, res) => {
+// Get top-level comments for a post with a preview of their latest replies - No auth required
+router.get('/post/:postId', optionalAuth, async (req, res) => {
     try {
-        const comments = await Comment.find({ post: req.params.postId })
+        if (!(await canViewPost(req.user, req.params.postId))) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        // Hide moderated comments and comments from blocked and muted users
+        const user = { $nin: await excludedUserIds(req.user) };
+
+        const comments = await Comment.find({ post: req.params.postId, parentComment: null, user, ...Comment.VISIBLE })
             .sort({ createdAt: -1 })
             .populate('user', 'username profilePicture');
 
-        res.json(comments);
+        // Newest first, in the same order GET /:id/replies pages through
+        const withReplies = await Promise.all(comments.map(async (comment) => {
+            const replies = comment.replyCount > 0
+                ? await Comment.find({ parentComment: comment._id, user, ...Comment.VISIBLE })
+                    .sort({ createdAt: -1, _id: -1 })
+                    .limit(REPLY_PREVIEW_LIMIT)
+                    .populate('user', 'username profilePicture')
+                : [];
+
+            const [withReaction] = withMyReaction([comment], req.user);
+            return { ...withReaction, replies: withMyReaction(replies, req.user) };
+        }));
+
+        res.json(withReplies);
+    } catch (error) {
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get replies to a comment (with pagination) - No auth required
+router.get('/:id/replies', optionalAuth, async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query);
+        if (!pagination) {
+            return invalidCursorResponse(res);
+        }
+
+        const parent = await Comment.findById(req.params.id).catch(() => null);
+        if (!parent || parent.isModerated() || !(await canViewPost(req.user, parent.post))) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+
+        const filter = {
+            ...Comment.VISIBLE,
+            parentComment: parent._id,
+            user: { $nin: await excludedUserIds(req.user) }
+        };
+        const { items: replies, nextCursor, prevCursor, hasMore } = await paginate(
+            Comment, filter, pagination,
+            (query) => query.populate('user', 'username profilePicture')
+        );
+
+        const response = {
+            replies: withMyReaction(replies, req.user),
+            nextCursor,
+            prevCursor,
+            hasMore,
+            totalReplies: parent.replyCount
+        };
+
+        // Legacy page-based fields, kept while clients migrate to cursors
+        if (pagination.page) {
+            response.currentPage = pagination.page;
+            response.totalPages = Math.ceil(parent.replyCount / pagination.limit);
+        }
+
+        res.json(response);
+    } catch (error) {
+        console.error('Error fetching replies:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get a comment's earlier versions - No auth required
+router.get('/:id/history', optionalAuth, async (req, res) => {
+    try {
+        const comment = await Comment.findById(req.params.id).catch(() => null);
+        if (!comment || comment.isModerated() || !(await canViewPost(req.user, comment.post)) ||
+            await isBlockedWith(req.user, comment.user)) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+
+        const revisions = await listRevisions('comment', comment._id);
+
+        res.json({
+            edited: comment.edited,
+            editedAt: comment.editedAt,
+            current: {
+                content: comment.content,
+                writtenAt: comment.editedAt || comment.createdAt
+            },
+            revisions
+        });
     } catch (error) {
+        console.error('Error fetching comment history:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
@@ -68,7 +228,7 @@ router.put('/:id', auth, async (req, res) => {
     try {
         const comment = await Comment.findById(req.params.id);
 
-        if (!comment) {
+        if (!comment || comment.isModerated()) {
             return res.status(404).json({ message: 'Comment not found' });
         }
 
@@ -76,8 +236,18 @@ router.put('/:id', auth, async (req, res) => {
             return res.status(401).json({ message: 'Not authorized' });
         }
 
-        comment.content = req.body.content;
-        await comment.save();
+        if (!comment.isEditable()) {
+            return res.status(403).json(editWindowClosedResponse(Comment));
+        }
+
+        // Records the replaced version when the content changed
+        await comment.saveEdit({ content: req.body.content });
+
+        // Re-parsing only notifies users who weren't mentioned before
+        const post = await Post.findById(comment.post).populate('user', 'isPrivate followers');
+        if (post && post.user) {
+            await notifyMentions(comment, { sender: req.user, post, postAuthor: post.user });
+        }
         await comment.populate('user', 'username profilePicture');
 
         res.json(comment);
@@ -105,21 +275,16 @@ router.delete('/:id', auth, async (req, res) => {
             return res.status(401).json({ message: 'Not authorized' });
         }
 
-        // Remove comment from post
-        const post = await Post.findById(comment.post);
-        post.comments = post.comments.filter(
-            commentId => commentId.toString() !== comment._id.toString()
-        );
-        await post.save();
-
-        await Comment.deleteOne({ _id: comment._id });
+        // Replies below it and their notifications go too
+        const removedIds = await deleteComment(comment._id);
         console.log('Comment successfully deleted');
         console.log('Deleted comment details:', {
             commentId: comment._id,
             userId: comment.user,
             postId: comment.post,
             content: comment.content.substring(0, 50) + '...',
-            likesCount: comment.likes.length
+            likesCount: comment.likes.length,
+            repliesDeleted: removedIds.length - 1
         });
         console.log('===============================================');
 
@@ -130,31 +295,101 @@ router.delete('/:id', auth, async (req, res) => {
     }
 });
 
+// Loads a comment the current user may react to, or sends the error
+// response and resolves to null
+const loadReactableComment = async (req, res) => {
+    const comment = await Comment.findById(req.params.id).catch(() => null);
+    if (!comment || comment.isModerated() || !(await canViewPost(req.user, comment.post))) {
+        res.status(404).json({ message: 'Comment not found' });
+        return null;
+    }
+
+    const author = await User.findById(comment.user).select('blocked');
+    if (isBlockedBetween(req.user, author)) {
+        blockedResponse(res);
+        return null;
+    }
+
+    return comment;
+};
+
+// Tells the comment's author about a new reaction
+const notifyReaction = (comment, sender, type) => notify({
+    recipient: comment.user,
+    sender: sender._id,
+    post: comment.post,
+    comment: comment._id,
+    type: type === 'like' ? 'comment_like' : 'comment_reaction',
+    content: type === 'like'
+        ? `Your comment "${excerpt(comment.content)}" liked by ${sender.username}`
+        : `${sender.username} reacted ${type} to your comment "${excerpt(comment.content)}"`
+});
+
+// React to a comment, or change your reaction
+router.put('/:id/reactions', auth, rateLimit('like'), async (req, res) => {
+    try {
+        const { type } = req.body;
+        if (!Comment.REACTION_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `type must be one of ${Comment.REACTION_TYPES.join(', ')}`,
+                error: 'INVALID_REACTION'
+            });
+        }
+
+        const comment = await loadReactableComment(req, res);
+        if (!comment) return;
+
+        const { doc, previous } = await setReaction(Comment, comment._id, req.user._id, type);
+        if (!previous) {
+            await notifyReaction(comment, req.user, type);
+        }
+
+        await doc.populate('user', 'username profilePicture');
+        const [withReaction] = withMyReaction([doc], req.user);
+        res.json(withReaction);
+    } catch (error) {
+        console.error('Error reacting to comment:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Remove your reaction from a comment
+router.delete('/:id/reactions', auth, rateLimit('like'), async (req, res) => {
+    try {
+        const comment = await loadReactableComment(req, res);
+        if (!comment) return;
+
+        const { doc } = await setReaction(Comment, comment._id, req.user._id, null);
+
+        await doc.populate('user', 'username profilePicture');
+        const [withReaction] = withMyReaction([doc], req.user);
+        res.json(withReaction);
+    } catch (error) {
+        console.error('Error removing reaction:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // Like/Unlike comment
-router.put('/like/:id', auth, async (req, res) => {
+// Kept for older clients: toggles the `like` reaction, replacing any other
+// reaction the user had
+router.put('/like/:id', auth, rateLimit('like'), async (req, res) => {
     try {
         const userId = req.user._id;
 
-        // First check if the comment exists
-        const comment = await Comment.findById(req.params.id);
-        if (!comment) {
-            return res.status(404).json({ message: 'Comment not found' });
-        }
+        const comment = await loadReactableComment(req, res);
+        if (!comment) return;
 
         // Check if user has already liked the comment
-        const hasLiked = comment.likes.includes(userId);
-
-        // Use findOneAndUpdate with atomic operators
-        const updatedComment = await Comment.findOneAndUpdate(
-            { _id: req.params.id },
-            hasLiked
-                ? { $pull: { likes: userId } }  // Remove like if already liked
-                : { $addToSet: { likes: userId } },  // Add like if not liked
-            {
-                new: true,
-                runValidators: true
-            }
-        ).populate('user', 'username profilePicture');
+        const hasLiked = comment.reactionOf(userId) === 'like';
+
+        const { doc: updatedComment, previous } = await setReaction(Comment, comment._id, userId, hasLiked ? null : 'like');
+        await updatedComment.populate('user', 'username profilePicture');
+
+        if (!previous) {
+            await notifyReaction(comment, req.user, 'like');
+        }
 
         // Log the operation
         console.log('Like operation:', {
@@ -164,7 +399,8 @@ router.put('/like/:id', auth, async (req, res) => {
             likesCount: updatedComment.likes.length
         });
 
-        res.json(updatedComment);
+        const [withReaction] = withMyReaction([updatedComment], req.user);
+        res.json(withReaction);
     } catch (error) {
         console.error('Error in like comment:', error);
         res.status(500).json({
@@ -0,0 +1,262 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const notificationStream = require('../services/notificationStream');
+const { canMessage, unreadCount, sendMessage } = require('../services/messaging');
+const { isBlockedBetween, blockedResponse } = require('../services/visibility');
+const { parsePagination, parsePageParams, paginate, invalidCursorResponse } = require('../utils/pagination');
+
+// Conversations are private to their participants
+router.use(auth);
+
+const PARTICIPANT_FIELDS = 'username profilePicture';
+
+const validationFailed = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array().map(err => ({
+            field: err.path,
+            message: err.msg
+        }))
+    });
+    return true;
+};
+
+// Loads a conversation the current user takes part in, or sends 404 and
+// resolves to null
+const loadConversation = async (req, res) => {
+    const conversation = mongoose.Types.ObjectId.isValid(req.params.id) &&
+        await Conversation.findOne({ _id: req.params.id, 'participants.user': req.user._id });
+
+    if (!conversation) {
+        res.status(404).json({ message: 'Conversation not found' });
+        return null;
+    }
+    return conversation;
+};
+
+// Start a conversation. With one other participant and no `name` this opens
+// (or reopens) the one-to-one conversation with them; otherwise it creates a
+// group. `content` optionally sends the first message.
+router.post('/', rateLimit('message'), [
+    body('participants').isArray({ min: 1, max: Conversation.MAX_PARTICIPANTS - 1 }),
+    body('participants.*').custom(value => mongoose.Types.ObjectId.isValid(value)),
+    body('name').optional().isString().trim().isLength({ max: 100 }),
+    body('content').optional().isString().trim().isLength({ min: 1, max: 2000 })
+], async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        const ids = [...new Set(req.body.participants.map(String))]
+            .filter(id => id !== req.user._id.toString());
+        if (ids.length === 0) {
+            return res.status(400).json({ message: 'You cannot start a conversation with yourself' });
+        }
+
+        const users = await User.find({ _id: { $in: ids }, ...User.ACTIVE })
+            .select('username blocked followers following isPrivate messagePolicy');
+        if (users.length !== ids.length) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const refused = users.find(user => !canMessage(req.user, user));
+        if (refused) {
+            return res.status(403).json({
+                success: false,
+                message: `${refused.username} isn't accepting messages from you`,
+                error: 'MESSAGING_NOT_ALLOWED'
+            });
+        }
+
+        const isGroup = ids.length > 1 || Boolean(req.body.name);
+        const directKey = isGroup ? undefined : Conversation.directKeyFor(req.user._id, ids[0]);
+
+        let conversation = directKey && await Conversation.findOne({ directKey });
+        const created = !conversation;
+        if (!conversation) {
+            try {
+                conversation = await Conversation.create({
+                    participants: [req.user._id, ...ids].map(user => ({ user })),
+                    isGroup,
+                    name: isGroup ? req.body.name : '',
+                    createdBy: req.user._id,
+                    directKey
+                });
+            } catch (error) {
+                // Lost a race with the other user opening the same conversation
+                if (error.code !== 11000) throw error;
+                conversation = await Conversation.findOne({ directKey });
+            }
+        }
+
+        if (req.body.content) {
+            await sendMessage(conversation, req.user, req.body.content);
+            conversation = await Conversation.findById(conversation._id);
+        }
+
+        await conversation.populate('participants.user', PARTICIPANT_FIELDS);
+        res.status(created ? 201 : 200).json(conversation);
+    } catch (error) {
+        console.error('Error starting conversation:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// List your conversations, most recently active first, with the last
+// message and how many messages you haven't read
+router.get('/', async (req, res) => {
+    try {
+        // Conversations reorder as messages arrive, so this pages by offset
+        const { page, limit, skip } = parsePageParams(req.query);
+
+        const conversations = await Conversation.find({ 'participants.user': req.user._id })
+            .sort({ lastMessageAt: -1, _id: -1 })
+            .skip(skip)
+            .limit(limit + 1)
+            .populate('participants.user', PARTICIPANT_FIELDS);
+
+        const hasMore = conversations.length > limit;
+        if (hasMore) conversations.pop();
+
+        const withUnread = await Promise.all(conversations.map(async (conversation) => ({
+            ...conversation.toObject(),
+            unreadCount: await unreadCount(conversation, req.user._id)
+        })));
+
+        res.json({
+            conversations: withUnread,
+            currentPage: page,
+            nextPage: hasMore ? page + 1 : null,
+            hasMore
+        });
+    } catch (error) {
+        console.error('Error fetching conversations:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get a conversation
+router.get('/:id', async (req, res) => {
+    try {
+        const conversation = await loadConversation(req, res);
+        if (!conversation) return;
+
+        await conversation.populate('participants.user', PARTICIPANT_FIELDS);
+        res.json({
+            ...conversation.toObject(),
+            unreadCount: await unreadCount(conversation, req.user._id)
+        });
+    } catch (error) {
+        console.error('Error fetching conversation:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get message history, newest first (with pagination)
+router.get('/:id/messages', async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query, { defaultLimit: 30 });
+        if (!pagination) {
+            return invalidCursorResponse(res);
+        }
+
+        const conversation = await loadConversation(req, res);
+        if (!conversation) return;
+
+        const { items: messages, nextCursor, prevCursor, hasMore } = await paginate(
+            Message, { conversation: conversation._id }, pagination,
+            (query) => query.populate('sender', PARTICIPANT_FIELDS)
+        );
+
+        res.json({
+            messages,
+            nextCursor,
+            prevCursor,
+            hasMore
+        });
+    } catch (error) {
+        console.error('Error fetching messages:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Send a message
+router.post('/:id/messages', rateLimit('message'), [
+    body('content').isString().trim().isLength({ min: 1, max: 2000 })
+], async (req, res) => {
+    try {
+        if (validationFailed(req, res)) return;
+
+        const conversation = await loadConversation(req, res);
+        if (!conversation) return;
+
+        // Blocking ends a one-to-one conversation both ways, and the other
+        // user's current messaging settings apply to every message, not just
+        // the one that started it
+        if (!conversation.isGroup) {
+            const other = conversation.participants
+                .find(participant => participant.user.toString() !== req.user._id.toString());
+            const otherUser = await User.findById(other.user)
+                .select('username blocked followers following isPrivate messagePolicy');
+            if (!otherUser || isBlockedBetween(req.user, otherUser)) {
+                return blockedResponse(res);
+            }
+            if (!canMessage(req.user, otherUser)) {
+                return res.status(403).json({
+                    success: false,
+                    message: `${otherUser.username} isn't accepting messages from you`,
+                    error: 'MESSAGING_NOT_ALLOWED'
+                });
+            }
+        }
+
+        const message = await sendMessage(conversation, req.user, req.body.content);
+        await message.populate('sender', PARTICIPANT_FIELDS);
+
+        res.status(201).json(message);
+    } catch (error) {
+        console.error('Error sending message:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Mark every message in the conversation as read
+router.post('/:id/read', async (req, res) => {
+    try {
+        const conversation = await loadConversation(req, res);
+        if (!conversation) return;
+
+        await Conversation.updateOne(
+            { _id: conversation._id, 'participants.user': req.user._id },
+            { $set: { 'participants.$.lastReadAt': new Date() } }
+        );
+
+        // The conversation's message notifications are read too
+        const cleared = await Notification.updateMany(
+            { recipient: req.user._id, conversation: conversation._id, read: false },
+            { read: true }
+        );
+        if (cleared.modifiedCount) {
+            notificationStream.publishUnreadCount(req.user._id)
+                .catch(error => console.error('Error pushing unread count:', error));
+        }
+
+        res.json({ message: 'Conversation marked as read', unreadCount: 0 });
+    } catch (error) {
+        console.error('Error marking conversation as read:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const auth = require('../middleware/auth');
+const { MAX_UPLOAD_BYTES, ALLOWED_MIME_TYPES, createMedia } = require('../services/mediaService');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => cb(null, ALLOWED_MIME_TYPES.includes(file.mimetype))
+});
+
+// Runs multer and turns its errors into JSON responses
+const singleFile = (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (!err) return next();
+
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                success: false,
+                message: `File must be at most ${Math.floor(MAX_UPLOAD_BYTES / 1024 / 1024)}MB`,
+                error: 'MEDIA_TOO_LARGE'
+            });
+        }
+
+        res.status(400).json({
+            success: false,
+            message: 'Invalid upload',
+            error: 'INVALID_UPLOAD'
+        });
+    });
+};
+
+// Upload an image (multipart/form-data, field "file")
+router.post('/', auth, singleFile, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: `A file of type ${ALLOWED_MIME_TYPES.join(', ')} is required`,
+                error: 'INVALID_MEDIA_TYPE'
+            });
+        }
+
+        const media = await createMedia(req.user._id, req.file);
+
+        if (media.error) {
+            return res.status(400).json({
+                success: false,
+                message: 'File is not a supported image',
+                error: media.error
+            });
+        }
+
+        res.status(201).json(media);
+    } catch (error) {
+        console.error('Error uploading media:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { loadTarget, resolveReport } = require('../services/moderation');
+const { recordAudit } = require('../services/auditLog');
+const { insufficientRoleResponse } = require('../utils/permissions');
+const { listRevisions } = require('../services/editHistory');
+const { parsePagination, paginate, invalidCursorResponse } = require('../utils/pagination');
+
+// Everything here is for moderators and admins
+router.use(auth, requirePermission('reports:manage'));
+
+// List the moderation queue (pending reports by default)
+router.get('/', async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query, { defaultLimit: 20 });
+        if (!pagination) {
+            return invalidCursorResponse(res);
+        }
+
+        const filter = {
+            status: req.query.status || { $in: ['open', 'claimed'] }
+        };
+        if (req.query.targetType) filter.targetType = req.query.targetType;
+        if (req.query.reason) filter.reason = req.query.reason;
+        if (req.query.mine === 'true') filter.claimedBy = req.user._id;
+
+        const { items: reports, nextCursor, prevCursor, hasMore } = await paginate(
+            Report, filter, pagination, (query) => query
+                .populate('reporter', 'username profilePicture')
+                .populate('targetUser', 'username profilePicture')
+                .populate('claimedBy', 'username')
+        );
+
+        res.json({
+            reports,
+            nextCursor,
+            prevCursor,
+            hasMore
+        });
+    } catch (error) {
+        console.error('Error fetching moderation queue:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get a report with the reported content
+router.get('/:id', async (req, res) => {
+    try {
+        const report = await Report.findById(req.params.id)
+            .populate('reporter', 'username profilePicture')
+            .populate('targetUser', 'username profilePicture warnings suspendedUntil')
+            .populate('claimedBy', 'username');
+
+        if (!report) {
+            return res.status(404).json({ message: 'Report not found' });
+        }
+
+        const target = await loadTarget(report.targetType, report.target);
+        let content = null;
+        if (target) {
+            content = target.doc.toObject();
+            delete content.password;
+        }
+
+        // What edited posts and comments said before, in case the reported
+        // text was changed afterwards
+        const revisions = target && report.targetType !== 'user'
+            ? await listRevisions(report.targetType, report.target)
+            : [];
+
+        // Other reports about the same target help judge severity
+        const relatedCount = await Report.countDocuments({
+            targetType: report.targetType,
+            target: report.target,
+            _id: { $ne: report._id }
+        });
+
+        res.json({ report, content, revisions, relatedCount });
+    } catch (error) {
+        console.error('Error fetching report:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Claim a report so other moderators know it's being handled
+router.post('/:id/claim', async (req, res) => {
+    try {
+        const report = await Report.findOneAndUpdate(
+            { _id: req.params.id, status: 'open' },
+            { status: 'claimed', claimedBy: req.user._id, claimedAt: new Date() },
+            { new: true }
+        );
+
+        if (!report) {
+            const existing = await Report.findById(req.params.id);
+            if (!existing) {
+                return res.status(404).json({ message: 'Report not found' });
+            }
+            return res.status(409).json({
+                message: existing.status === 'claimed'
+                    ? 'Report is already claimed'
+                    : 'Report is already resolved',
+                error: 'REPORT_NOT_OPEN'
+            });
+        }
+
+        await recordAudit(req, 'report.claim', { targetType: 'report', target: report._id });
+
+        res.json(report);
+    } catch (error) {
+        console.error('Error claiming report:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Resolve a report: hide or delete the content, warn or suspend its owner,
+// or dismiss the report
+router.post('/:id/resolve', [
+    body('action').isIn(Report.ACTIONS),
+    body('note').optional().isString().isLength({ max: 1000 }),
+    body('suspendDays').optional().isInt({ min: 1, max: 3650 }).toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array().map(err => ({
+                    field: err.path,
+                    message: err.msg
+                }))
+            });
+        }
+
+        const report = await Report.findById(req.params.id);
+        if (!report) {
+            return res.status(404).json({ message: 'Report not found' });
+        }
+
+        if (report.status === 'resolved') {
+            return res.status(409).json({
+                message: 'Report is already resolved',
+                error: 'REPORT_NOT_OPEN'
+            });
+        }
+
+        if (report.status === 'claimed' && report.claimedBy.toString() !== req.user._id.toString()) {
+            return res.status(409).json({
+                message: 'Report is claimed by another moderator',
+                error: 'REPORT_CLAIMED'
+            });
+        }
+
+        const { action, note, suspendDays } = req.body;
+        const result = await resolveReport(report, {
+            action,
+            note,
+            suspendDays,
+            moderator: req.user
+        });
+
+        if (result.error === 'INSUFFICIENT_ROLE') {
+            await recordAudit(req, 'report.resolve.denied', {
+                targetType: report.targetType,
+                target: report.target,
+                details: { report: report._id, action }
+            });
+            return insufficientRoleResponse(res);
+        }
+
+        if (result.error) {
+            return res.status(400).json({
+                message: `Action "${action}" cannot be applied to a ${report.targetType}`,
+                error: result.error
+            });
+        }
+
+        await recordAudit(req, `report.resolve.${action}`, {
+            targetType: report.targetType,
+            target: report.target,
+            details: {
+                report: report._id,
+                note,
+                suspendDays,
+                resolvedCount: result.resolvedCount
+            }
+        });
+
+        res.json({
+            message: 'Report resolved',
+            action,
+            resolvedCount: result.resolvedCount
+        });
+    } catch (error) {
+        console.error('Error resolving report:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
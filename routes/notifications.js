@@ -1,39 +1,178 @@
 const express = require('express');
 const router = express.Router();
 const Notification = require('../models/Notification');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const notificationStream = require('../services/notificationStream');
+const { CONFIGURABLE_TYPES, preferencesFor } = require('../services/notifications');
+const { groupFilter, listGroups } = require('../services/notificationGroups');
+const { excludedUserIds } = require('../services/visibility');
+const { signStreamToken } = require('../services/tokenService');
+const { parsePagination, paginate, invalidCursorResponse, decodeCursor, newerThan } = require('../utils/pagination');
 
-// Get user's notifications
+// Maximum number of missed notifications replayed to a reconnecting client
+const REPLAY_LIMIT = 100;
+
+// Get user's notifications, grouped unless `grouped=false`
 router.get('/', auth, async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 20;
-        const skip = (page - 1) * limit;
+        const pagination = parsePagination(req.query, { defaultLimit: 20 });
+        if (!pagination) {
+            return invalidCursorResponse(res);
+        }
+
+        // Leave out notifications from blocked and muted users
+        const filter = {
+            recipient: req.user._id,
+            sender: { $nin: await excludedUserIds(req.user) }
+        };
 
-        const notifications = await Notification.find({ recipient: req.user._id })
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit)
-            .populate('sender', 'username profilePicture')
-            .populate('post', 'content');
+        if (req.query.grouped !== 'false') {
+            const { groups, nextCursor, prevCursor, hasMore } = await listGroups(filter, pagination);
+            return res.json({
+                groups,
+                nextCursor,
+                prevCursor,
+                hasMore
+            });
+        }
+
+        const { items: notifications, nextCursor, prevCursor, hasMore } = await paginate(
+            Notification, filter, pagination, (query) => query
+                .populate('sender', 'username profilePicture')
+                .populate('post', 'content')
+        );
 
-        const total = await Notification.countDocuments({ recipient: req.user._id });
+        const total = await Notification.countDocuments(filter);
 
-        res.json({
+        const response = {
             notifications,
-            currentPage: page,
-            totalPages: Math.ceil(total / limit),
+            nextCursor,
+            prevCursor,
+            hasMore,
             totalNotifications: total
-        });
+        };
+
+        // Legacy page-based fields, kept while clients migrate to cursors
+        if (pagination.page) {
+            response.currentPage = pagination.page;
+            response.totalPages = Math.ceil(total / pagination.limit);
+        }
+
+        res.json(response);
     } catch (error) {
         console.error('Error fetching notifications:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Mark notification as read
+// A short-lived token for opening the stream from EventSource
+router.post('/stream-token', auth, (req, res) => {
+    res.json({ token: signStreamToken(req.user._id, req.tokenFamily) });
+});
+
+// EventSource cannot set headers, so the stream also takes a stream token as
+// ?token=, but never an access token there
+const streamAuth = (req, res, next) => (req.header('Authorization')
+    ? auth(req, res, next)
+    : auth.streamToken(req, res, next));
+
+// Stream new notifications and unread-count updates (Server-Sent Events)
+router.get('/stream', streamAuth, async (req, res) => {
+    try {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const unsubscribe = notificationStream.subscribe(req.user._id, res);
+        req.on('close', unsubscribe);
+
+        // Replay anything created since the last event the client saw
+        const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+        const cursor = lastEventId && decodeCursor(lastEventId);
+        if (cursor) {
+            const missed = await Notification.find({
+                $and: [
+                    { recipient: req.user._id, sender: { $nin: await excludedUserIds(req.user) } },
+                    newerThan(cursor)
+                ]
+            })
+                .sort({ createdAt: 1, _id: 1 })
+                .limit(REPLAY_LIMIT)
+                .populate('sender', 'username profilePicture')
+                .populate('post', 'content');
+
+            missed.forEach(notification => notificationStream.sendNotification(res, notification));
+        }
+
+        const count = await notificationStream.getUnreadCount(req.user._id);
+        notificationStream.write(res, 'unread-count', { count });
+    } catch (error) {
+        console.error('Error opening notification stream:', error);
+        res.end();
+    }
+});
+
+// Get which notification types are on
+router.get('/preferences', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('notificationPreferences');
+        res.json({ preferences: preferencesFor(user) });
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Turn notification types on or off, e.g. { "like": false, "follow": true }.
+// Types left out keep their current setting.
+router.put('/preferences', auth, async (req, res) => {
+    try {
+        const changes = req.body || {};
+        const invalid = Object.entries(changes)
+            .filter(([type, enabled]) => !CONFIGURABLE_TYPES.includes(type) || typeof enabled !== 'boolean');
+        if (invalid.length) {
+            return res.status(400).json({
+                success: false,
+                message: `Preferences must map ${CONFIGURABLE_TYPES.join(', ')} to true or false`,
+                error: 'INVALID_PREFERENCES'
+            });
+        }
+
+        const update = Object.fromEntries(Object.entries(changes)
+            .map(([type, enabled]) => [`notificationPreferences.${type}`, enabled]));
+        const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true })
+            .select('notificationPreferences');
+
+        res.json({ preferences: preferencesFor(user) });
+    } catch (error) {
+        console.error('Error updating notification preferences:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Mark a notification, or a whole group from the grouped list, as read
 router.put('/:id/read', auth, async (req, res) => {
     try {
+        const filter = groupFilter(req.user._id, req.params.id);
+        if (!filter) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+
+        if (!filter._id) {
+            const result = await Notification.updateMany({ ...filter, read: false }, { read: true });
+            await notificationStream.publishUnreadCount(req.user._id);
+
+            return res.json({
+                message: 'Notifications marked as read',
+                modifiedCount: result.modifiedCount
+            });
+        }
+
         const notification = await Notification.findById(req.params.id);
 
         if (!notification) {
@@ -46,6 +185,7 @@ router.put('/:id/read', auth, async (req, res) => {
 
         notification.read = true;
         await notification.save();
+        await notificationStream.publishUnreadCount(req.user._id);
 
         res.json(notification);
     } catch (error) {
@@ -61,6 +201,7 @@ router.put('/read-all', auth, async (req, res) => {
             { recipient: req.user._id, read: false },
             { read: true }
         );
+        await notificationStream.publishUnreadCount(req.user._id);
 
         res.json({ message: 'All notifications marked as read' });
     } catch (error) {
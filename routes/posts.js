@@ -1,28 +1,92 @@
 const express = require('express');
 const router = express.Router();
 const Post = require('../models/Post');
+const Comment = require('../models/Comment');
 const User = require('../models/User');
-const Notification = require('../models/Notification');
 const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+const optionalAuth = require('../middleware/optionalAuth');
+const rateLimit = require('../middleware/rateLimit');
+const {
+    canViewUser,
+    visiblePostsFilter,
+    privateAccountResponse,
+    canViewPost,
+    isBlockedBetween,
+    excludedUserIds,
+    blockedResponse
+} = require('../services/visibility');
+const { buildAttachments, MAX_ATTACHMENTS } = require('../services/mediaService');
+const { notifyMentions } = require('../services/mentions');
+const { sanitizeQuery, searchPosts, searchUsers } = require('../services/search');
+const { excerpt, notify } = require('../services/notifications');
+const { setReaction, withMyReaction } = require('../services/reactions');
+const { editWindowClosedResponse, listRevisions } = require('../services/editHistory');
+const { withBookmarkFlag } = require('../services/bookmarks');
+const { deletePost } = require('../services/deletion');
+const {
+    resolveOriginal,
+    privateOriginalResponse,
+    notifyOriginalAuthor,
+    applyRepostVisibility
+} = require('../services/reposts');
+const { parsePagination, parsePageParams, paginate, invalidCursorResponse } = require('../utils/pagination');
+const { embeddedPost, populatePostList } = require('../utils/populate');
+const { WINDOWS, HALF_LIFE_HOURS, rankTrendingPosts } = require('../services/trending');
+
+const repostNotEditableResponse = {
+    success: false,
+    message: 'Reposts cannot be changed; interact with the original post instead',
+    error: 'REPOST_NOT_EDITABLE'
+};
+
+const invalidMediaResponse = {
+    success: false,
+    message: `media must be a list of up to ${MAX_ATTACHMENTS} { id, altText } items referencing your uploads`,
+    error: 'INVALID_MEDIA'
+};
+
+// Create a post, or a quote post when `quoteOf` is given
+router.post('/', auth, rateLimit('post'), requireVerified('post'), async (req, res) => {
+    try {
+        const { content, image } = req.body;
 
-// Map to store last like/unlike timestamps
-const lastLikeAction = new Map();
+        let original = null;
+        if (req.body.quoteOf !== undefined) {
+            original = await resolveOriginal(req.body.quoteOf).catch(() => null);
+            if (!original || !(await canViewPost(req.user, original._id))) {
+                return res.status(404).json({ message: 'Quoted post not found' });
+            }
+            if (original.user.isPrivate) {
+                return privateOriginalResponse(res);
+            }
+        }
 
-// Helper function to generate a unique key for user-post combination
-const getLikeKey = (userId, postId) => `${userId}-${postId}`;
+        let media = [];
+        if (req.body.media !== undefined) {
+            media = await buildAttachments(req.user._id, req.body.media);
+            if (!media) {
+                return res.status(400).json(invalidMediaResponse);
+            }
+        }
 
-// Create a post
-router.post('/', auth, async (req, res) => {
-    try {
-        const { content, image } = req.body;
         const newPost = new Post({
             user: req.user._id,
+            authorIsPrivate: req.user.isPrivate,
             content,
-            image
+            image,
+            media,
+            ...(original && { kind: 'quote', quoteOf: original._id })
         });
 
         const post = await newPost.save();
+        await notifyMentions(post, { sender: req.user, post, postAuthor: req.user });
+        if (original) {
+            await Post.updateOne({ _id: original._id }, { $inc: { quoteCount: 1 } });
+            await notifyOriginalAuthor('quote', original, req.user, post);
+        }
         await post.populate('user', 'username profilePicture');
+        await post.populate(embeddedPost('quoteOf'));
 
         res.status(201).json(post);
     } catch (error) {
@@ -31,44 +95,44 @@ router.post('/', auth, async (req, res) => {
 });
 
 // Get all posts (with pagination) - No auth required
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
     try {
         console.log('============ FETCHING POSTS ============');
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
+        const pagination = parsePagination(req.query);
+        if (!pagination) {
+            return invalidCursorResponse(res);
+        }
 
-        console.log('Pagination params:', { page, limit, skip });
+        console.log('Pagination params:', pagination);
 
-        const posts = await Post.find()
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit)
-            .populate('user', 'username profilePicture')
-            .populate({
-                path: 'comments',
-                populate: {
-                    path: 'user',
-                    select: 'username profilePicture'
-                }
-            });
+        const filter = await visiblePostsFilter(req.user);
+        const { items: posts, nextCursor, prevCursor, hasMore } = await paginate(
+            Post, filter, pagination, populatePostList
+        );
 
         console.log(`Found ${posts.length} posts`);
 
-        const total = await Post.countDocuments();
+        const total = await Post.countDocuments(filter);
         console.log(`Total posts in database: ${total}`);
 
         const response = {
             success: true,
-            posts,
-            currentPage: page,
-            totalPages: Math.ceil(total / limit),
+            posts: withMyReaction(await withBookmarkFlag(await applyRepostVisibility(posts, req.user), req.user), req.user),
+            nextCursor,
+            prevCursor,
+            hasMore,
             totalPosts: total
         };
 
+        // Legacy page-based fields, kept while clients migrate to cursors
+        if (pagination.page) {
+            response.currentPage = pagination.page;
+            response.totalPages = Math.ceil(total / pagination.limit);
+        }
+
         console.log('Response prepared:', {
-            currentPage: response.currentPage,
-            totalPages: response.totalPages,
+            nextCursor: response.nextCursor,
+            hasMore: response.hasMore,
             totalPosts: response.totalPosts
         });
         console.log('=====================================');
@@ -88,34 +152,131 @@ router.get('/', async (req, res) => {
     }
 });
 
+// Get home feed: posts from followed accounts plus the user's own
+router.get('/feed', auth, async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query);
+        if (!pagination) {
+            return invalidCursorResponse(res);
+        }
+
+        const authors = [...req.user.following, req.user._id];
+        const filter = {
+            ...Post.VISIBLE,
+            user: { $in: authors, $nin: await excludedUserIds(req.user) }
+        };
+        const { items, nextCursor, prevCursor, hasMore } = await paginate(
+            Post, filter, pagination, populatePostList
+        );
+        // Reposts are credited to the follower who reposted
+        const posts = withMyReaction(await applyRepostVisibility(items, req.user), req.user);
+
+        res.json({
+            success: true,
+            posts,
+            nextCursor,
+            prevCursor,
+            hasMore
+        });
+    } catch (error) {
+        console.error('Error fetching feed:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load feed',
+            error: 'FEED_FETCH_ERROR'
+        });
+    }
+});
+
+// Get trending posts - No auth required
+// Declared before /:id so it isn't treated as a post id
+router.get('/trending', optionalAuth, async (req, res) => {
+    try {
+        const window = req.query.window || '7d';
+        if (!WINDOWS[window]) {
+            return res.status(400).json({
+                success: false,
+                message: `window must be one of ${Object.keys(WINDOWS).join(', ')}`,
+                error: 'INVALID_WINDOW'
+            });
+        }
+
+        const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+        if (isNaN(asOf.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'asOf must be a valid date',
+                error: 'INVALID_DATE'
+            });
+        }
+
+        // Scores change over time, so trending pages by offset at a fixed `asOf`
+        const { page, limit, skip } = parsePageParams(req.query);
+
+        const ranked = await rankTrendingPosts({
+            filter: await visiblePostsFilter(req.user),
+            window,
+            asOf,
+            skip,
+            limit: limit + 1
+        });
+
+        const hasMore = ranked.length > limit;
+        if (hasMore) ranked.pop();
+
+        const posts = await applyRepostVisibility(
+            await populatePostList(Post.find({ _id: { $in: ranked.map(item => item._id) } })),
+            req.user
+        );
+        const byId = new Map(posts.map(post => [post._id.toString(), post]));
+        const trendingPosts = ranked
+            .filter(item => byId.has(item._id.toString()))
+            .map(item => ({
+                ...withMyReaction([byId.get(item._id.toString())], req.user)[0],
+                trendingScore: item.trendingScore
+            }));
+
+        res.json({
+            success: true,
+            trendingPosts,
+            window,
+            halfLifeHours: HALF_LIFE_HOURS,
+            asOf,
+            currentPage: page,
+            nextPage: hasMore ? page + 1 : null,
+            hasMore,
+            lastUpdated: asOf
+        });
+    } catch (error) {
+        console.error('Error fetching trending posts:', {
+            message: error.message,
+            stack: error.stack,
+            name: error.name
+        });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load trending posts',
+            error: 'TRENDING_FETCH_ERROR'
+        });
+    }
+});
+
 // Search across posts and users
-router.get('/search', async (req, res) => {
+// Kept for older clients; GET /api/search supports filters and pagination
+router.get('/search', optionalAuth, rateLimit('search'), async (req, res) => {
     try {
-        const { query } = req.query;
+        const query = sanitizeQuery(req.query.query);
 
         if (!query) {
             return res.status(400).json({ message: 'Search query is required' });
         }
 
-        // Search in posts
-        const posts = await Post.find({
-            $or: [
-                { content: { $regex: query, $options: 'i' } }
-            ]
-        })
-            .sort({ createdAt: -1 })
-            .populate('user', 'username profilePicture')
-            .limit(10);
-
-        // Search in users
-        const users = await User.find({
-            $or: [
-                { username: { $regex: query, $options: 'i' } },
-                { bio: { $regex: query, $options: 'i' } }
-            ]
-        })
-            .select('username profilePicture bio')
-            .limit(10);
+        const { results: posts } = await searchPosts(query, {
+            filter: await visiblePostsFilter(req.user)
+        });
+        const { results: users } = await searchUsers(query, {
+            excludeIds: await excludedUserIds(req.user)
+        });
 
         res.json({
             posts,
@@ -128,32 +289,84 @@ router.get('/search', async (req, res) => {
 });
 
 // Get user's posts - No auth required
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', optionalAuth, async (req, res) => {
     try {
-        const posts = await Post.find({ user: req.params.userId })
+        const author = await User.findById(req.params.userId);
+        if (author && (author.isDeactivated() || isBlockedBetween(req.user, author))) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (author && !canViewUser(req.user, author)) {
+            return privateAccountResponse(res);
+        }
+
+        const posts = await Post.find({ user: req.params.userId, ...Post.VISIBLE })
             .sort({ createdAt: -1 })
             .populate('user', 'username profilePicture')
-            .populate('comments');
+            .populate(embeddedPost('repostOf'))
+            .populate(embeddedPost('quoteOf'))
+            .populate({ path: 'comments', match: Comment.VISIBLE });
 
-        res.json(posts);
+        res.json(withMyReaction(await applyRepostVisibility(posts, req.user), req.user));
     } catch (error) {
         res.status(500).json({ message: 'Server error' });
     }
 });
 
 // Get single post - No auth required
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
     try {
         const post = await Post.findById(req.params.id)
             .populate('user', 'username profilePicture')
-            .populate('comments');
+            .populate(embeddedPost('repostOf'))
+            .populate(embeddedPost('quoteOf'))
+            .populate({ path: 'comments', match: Comment.VISIBLE });
 
-        if (!post) {
+        if (!post || post.isModerated()) {
             return res.status(404).json({ message: 'Post not found' });
         }
 
-        res.json(post);
+        // Posts from private accounts look missing to non-followers, and
+        // posts look missing across a block
+        const author = post.user && await User.findById(post.user._id).select('isPrivate followers blocked');
+        if (author && (!canViewUser(req.user, author) || isBlockedBetween(req.user, author))) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        const [visible] = await applyRepostVisibility([post], req.user);
+        if (!visible) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        const [withFlag] = withMyReaction(await withBookmarkFlag([visible], req.user), req.user);
+        res.json(withFlag);
+    } catch (error) {
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get a post's earlier versions - No auth required
+router.get('/:id/history', optionalAuth, async (req, res) => {
+    try {
+        if (!(await canViewPost(req.user, req.params.id).catch(() => false))) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        const post = await Post.findById(req.params.id).select('content image media edited editedAt createdAt');
+        const revisions = await listRevisions('post', post._id);
+
+        res.json({
+            edited: post.edited,
+            editedAt: post.editedAt,
+            current: {
+                content: post.content,
+                image: post.image,
+                media: post.media,
+                writtenAt: post.editedAt || post.createdAt
+            },
+            revisions
+        });
     } catch (error) {
+        console.error('Error fetching post history:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
@@ -163,7 +376,7 @@ router.put('/:id', auth, async (req, res) => {
     try {
         const post = await Post.findById(req.params.id);
 
-        if (!post) {
+        if (!post || post.isModerated()) {
             return res.status(404).json({ message: 'Post not found' });
         }
 
@@ -171,11 +384,27 @@ router.put('/:id', auth, async (req, res) => {
             return res.status(401).json({ message: 'Not authorized' });
         }
 
+        if (post.kind === 'repost') {
+            return res.status(400).json(repostNotEditableResponse);
+        }
+
+        if (!post.isEditable()) {
+            return res.status(403).json(editWindowClosedResponse(Post));
+        }
+
         const { content, image } = req.body;
-        if (content) post.content = content;
-        if (image) post.image = image;
+        let media;
+        if (req.body.media !== undefined) {
+            media = await buildAttachments(req.user._id, req.body.media);
+            if (!media) {
+                return res.status(400).json(invalidMediaResponse);
+            }
+        }
 
-        await post.save();
+        // Records the replaced version when anything changed. Re-parsing
+        // only notifies users who weren't mentioned before.
+        await post.saveEdit({ content: content || undefined, image: image || undefined, media });
+        await notifyMentions(post, { sender: req.user, post, postAuthor: req.user });
         res.json(post);
     } catch (error) {
         res.status(500).json({ message: 'Server error' });
@@ -201,7 +430,8 @@ router.delete('/:id', auth, async (req, res) => {
             return res.status(401).json({ message: 'Not authorized' });
         }
 
-        await Post.deleteOne({ _id: post._id });
+        // Takes its comments, reposts, bookmarks and notifications with it
+        await deletePost(post._id);
         console.log('Post successfully deleted');
         console.log('Deleted post details:', {
             postId: post._id,
@@ -219,146 +449,211 @@ router.delete('/:id', auth, async (req, res) => {
     }
 });
 
-// Like/Unlike post
-router.put('/like/:id', auth, async (req, res) => {
-    console.log('============ LIKE/UNLIKE ROUTE HIT ============');
-    console.log('Request received for post:', req.params.id);
-    console.log('User ID:', req.user._id);
-    console.log('=============================================');
-    
+// Repost a post. Reposting a repost boosts the original.
+router.post('/:id/repost', auth, rateLimit('post'), async (req, res) => {
     try {
-        const userId = req.user._id;
-
-        // First check if the post exists
-        const post = await Post.findById(req.params.id)
-            .populate('user', 'username');
-
-        if (!post) {
+        const original = await resolveOriginal(req.params.id).catch(() => null);
+        if (!original || !(await canViewPost(req.user, original._id))) {
             return res.status(404).json({ message: 'Post not found' });
         }
 
-        // Check if user has already liked the post
-        const hasLiked = post.likes.includes(userId);
-
-        // Use findOneAndUpdate with atomic operators
-        const updatedPost = await Post.findOneAndUpdate(
-            { _id: req.params.id },
-            hasLiked
-                ? { $pull: { likes: userId } }  // Remove like if already liked
-                : { $addToSet: { likes: userId } },  // Add like if not liked
-            {
-                new: true,
-                runValidators: true
-            }
-        ).populate('user', 'username profilePicture');
-
-        // Create notification if the post owner is not the one liking and it's a new like
-        if (!hasLiked && post.user._id.toString() !== userId.toString()) {
-            const content = `"${post.content.substring(0, 30)}${post.content.length > 30 ? '...' : ''}" liked by ${req.user.username}`;
-
-            const notification = new Notification({
-                recipient: post.user._id,
-                sender: userId,
-                post: post._id,
-                type: 'like',
-                content
+        if (original.user.isPrivate) {
+            return privateOriginalResponse(res);
+        }
+
+        const existing = await Post.exists({ user: req.user._id, repostOf: original._id });
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: 'You already reposted this post',
+                error: 'ALREADY_REPOSTED'
             });
+        }
 
-            await notification.save();
+        let repost;
+        try {
+            repost = await Post.create({
+                user: req.user._id,
+                authorIsPrivate: req.user.isPrivate,
+                kind: 'repost',
+                repostOf: original._id
+            });
+        } catch (error) {
+            // Lost a race with a concurrent repost by the same user
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'You already reposted this post',
+                    error: 'ALREADY_REPOSTED'
+                });
+            }
+            throw error;
         }
 
-        // Log the operation
-        console.log('==================== LIKE OPERATION ====================');
-        console.log('Post ID:', req.params.id);
-        console.log('User ID:', userId);
-        console.log('Action:', hasLiked ? 'UNLIKED' : 'LIKED');
-        console.log('Likes Count:', updatedPost.likes.length);
-        console.log('Updated Post:', JSON.stringify(updatedPost, null, 2));
-        console.log('=====================================================');
+        const updated = await Post.findByIdAndUpdate(
+            original._id,
+            { $inc: { repostCount: 1 } },
+            { new: true }
+        ).select('repostCount quoteCount');
+        await notifyOriginalAuthor('repost', original, req.user);
 
-        res.json(updatedPost);
+        await repost.populate('user', 'username profilePicture');
+        await repost.populate(embeddedPost('repostOf'));
+
+        res.status(201).json({
+            repost,
+            repostCount: updated.repostCount
+        });
     } catch (error) {
-        console.error('Error in like post:', error);
+        console.error('Error reposting:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Get trending posts
-router.get('/trending', async (req, res) => {
+// Undo a repost
+router.delete('/:id/repost', auth, async (req, res) => {
     try {
-        console.log('Fetching posts for trending...');
-        
-        // Get all posts first
-        const posts = await Post.find()
-            .populate('user', 'username profilePicture')
-            .populate('comments');
-        
-        console.log(`Found ${posts.length} posts`);
+        const original = await resolveOriginal(req.params.id).catch(() => null);
+        const repost = original && await Post.findOne({ user: req.user._id, repostOf: original._id });
+        if (!repost) {
+            return res.status(404).json({ message: 'Repost not found' });
+        }
 
-        // Sort posts by number of likes
-        const trendingPosts = posts
-            .sort((a, b) => b.likes.length - a.likes.length)
-            .slice(0, 10);
-        
-        console.log(`Returning ${trendingPosts.length} trending posts`);
+        await deletePost(repost._id);
+
+        const updated = await Post.findById(original._id).select('repostCount');
 
         res.json({
-            trendingPosts,
-            lastUpdated: new Date()
+            message: 'Repost removed',
+            repostCount: updated ? updated.repostCount : 0
         });
+    } catch (error) {
+        console.error('Error undoing repost:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
 
+// Loads a post the current user may react to, or sends the error response
+// and resolves to null
+const loadReactablePost = async (req, res) => {
+    const post = await Post.findById(req.params.id)
+        .populate('user', 'username isPrivate followers blocked')
+        .catch(() => null);
+
+    if (!post || post.isModerated() || !post.user || !canViewUser(req.user, post.user)) {
+        res.status(404).json({ message: 'Post not found' });
+        return null;
+    }
+
+    if (isBlockedBetween(req.user, post.user)) {
+        blockedResponse(res);
+        return null;
+    }
+
+    if (post.kind === 'repost') {
+        res.status(400).json(repostNotEditableResponse);
+        return null;
+    }
+
+    return post;
+};
+
+// Tells the post's author about a new reaction
+const notifyReaction = (post, sender, type) => notify({
+    recipient: post.user._id,
+    sender: sender._id,
+    post: post._id,
+    type: type === 'like' ? 'like' : 'reaction',
+    content: type === 'like'
+        ? `"${excerpt(post.content)}" liked by ${sender.username}`
+        : `${sender.username} reacted ${type} to "${excerpt(post.content)}"`
+});
+
+// React to a post, or change your reaction
+router.put('/:id/reactions', auth, rateLimit('like'), async (req, res) => {
+    try {
+        const { type } = req.body;
+        if (!Post.REACTION_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `type must be one of ${Post.REACTION_TYPES.join(', ')}`,
+                error: 'INVALID_REACTION'
+            });
+        }
+
+        const post = await loadReactablePost(req, res);
+        if (!post) return;
+
+        const { doc, previous } = await setReaction(Post, post._id, req.user._id, type);
+        if (!previous) {
+            await notifyReaction(post, req.user, type);
+        }
+
+        await doc.populate('user', 'username profilePicture');
+        const [withReaction] = withMyReaction([doc], req.user);
+        res.json(withReaction);
     } catch (error) {
-        console.error('Detailed error in trending endpoint:', {
-            message: error.message,
-            stack: error.stack,
-            name: error.name
-        });
-        res.status(500).json({ 
-            message: 'Server error',
-            error: error.message 
-        });
+        console.error('Error reacting to post:', error);
+        res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Cleanup orphaned posts (posts with non-existent users)
-router.delete('/cleanup/orphaned', auth, async (req, res) => {
+// Remove your reaction from a post
+router.delete('/:id/reactions', auth, rateLimit('like'), async (req, res) => {
     try {
-        console.log('============ CLEANING UP ORPHANED POSTS ============');
-        
-        // Get all posts
-        const posts = await Post.find();
-        console.log(`Found ${posts.length} total posts`);
-
-        let deletedCount = 0;
-        let orphanedPosts = [];
-
-        // Check each post for valid user
-        for (const post of posts) {
-            const userExists = await User.exists({ _id: post.user });
-            if (!userExists) {
-                orphanedPosts.push(post._id);
-                await Post.deleteOne({ _id: post._id });
-                deletedCount++;
-            }
+        const post = await loadReactablePost(req, res);
+        if (!post) return;
+
+        const { doc } = await setReaction(Post, post._id, req.user._id, null);
+
+        await doc.populate('user', 'username profilePicture');
+        const [withReaction] = withMyReaction([doc], req.user);
+        res.json(withReaction);
+    } catch (error) {
+        console.error('Error removing reaction:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Like/Unlike post
+// Kept for older clients: toggles the `like` reaction, replacing any other
+// reaction the user had
+router.put('/like/:id', auth, rateLimit('like'), async (req, res) => {
+    console.log('============ LIKE/UNLIKE ROUTE HIT ============');
+    console.log('Request received for post:', req.params.id);
+    console.log('User ID:', req.user._id);
+    console.log('=============================================');
+    
+    try {
+        const userId = req.user._id;
+
+        const post = await loadReactablePost(req, res);
+        if (!post) return;
+
+        // Check if user has already liked the post
+        const hasLiked = post.reactionOf(userId) === 'like';
+
+        const { doc: updatedPost, previous } = await setReaction(Post, post._id, userId, hasLiked ? null : 'like');
+        await updatedPost.populate('user', 'username profilePicture');
+
+        // Create notification if it's a new reaction
+        if (!previous) {
+            await notifyReaction(post, req.user, 'like');
         }
 
-        console.log(`Found ${orphanedPosts.length} orphaned posts`);
-        console.log('Deleted posts:', orphanedPosts);
-        console.log('================================================');
+        // Log the operation
+        console.log('==================== LIKE OPERATION ====================');
+        console.log('Post ID:', req.params.id);
+        console.log('User ID:', userId);
+        console.log('Action:', hasLiked ? 'UNLIKED' : 'LIKED');
+        console.log('Likes Count:', updatedPost.likes.length);
+        console.log('=====================================================');
 
-        res.json({
-            success: true,
-            message: `Cleaned up ${deletedCount} orphaned posts`,
-            deletedCount,
-            orphanedPosts
-        });
+        const [withReaction] = withMyReaction([updatedPost], req.user);
+        res.json(withReaction);
     } catch (error) {
-        console.error('Error cleaning up orphaned posts:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to clean up orphaned posts',
-            error: 'CLEANUP_FAILED'
-        });
+        console.error('Error in like post:', error);
+        res.status(500).json({ message: 'Server error' });
     }
 });
 
@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const auth = require('../middleware/auth');
+const { loadTarget } = require('../services/moderation');
+
+// Report a post, comment or account
+router.post('/', auth, [
+    body('targetType').isIn(['post', 'comment', 'user']),
+    body('targetId').custom(value => mongoose.Types.ObjectId.isValid(value)),
+    body('reason').isIn(Report.REASONS),
+    body('details').optional().isString().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array().map(err => ({
+                    field: err.path,
+                    message: err.msg
+                }))
+            });
+        }
+
+        const { targetType, targetId, reason, details } = req.body;
+
+        const target = await loadTarget(targetType, targetId);
+        if (!target || (target.doc.isModerated && target.doc.isModerated())) {
+            return res.status(404).json({ message: 'Reported content not found' });
+        }
+
+        if (target.ownerId.toString() === req.user._id.toString()) {
+            return res.status(400).json({ message: 'You cannot report your own content' });
+        }
+
+        // Reporting the same thing twice just returns the pending report
+        const existing = await Report.findOne({
+            reporter: req.user._id,
+            targetType,
+            target: targetId,
+            status: { $in: ['open', 'claimed'] }
+        });
+        if (existing) {
+            return res.json(existing);
+        }
+
+        const report = await Report.create({
+            reporter: req.user._id,
+            targetType,
+            target: targetId,
+            targetUser: target.ownerId,
+            reason,
+            details
+        });
+
+        res.status(201).json(report);
+    } catch (error) {
+        console.error('Error creating report:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const optionalAuth = require('../middleware/optionalAuth');
+const rateLimit = require('../middleware/rateLimit');
+const { visiblePostsFilter, excludedUserIds } = require('../services/visibility');
+const {
+    sanitizeQuery,
+    resolveAuthor,
+    searchPosts,
+    searchUsers,
+    searchTags
+} = require('../services/search');
+const { parsePageParams } = require('../utils/pagination');
+
+const TYPES = ['all', 'posts', 'users', 'tags'];
+
+const badRequest = (res, message, error) => res.status(400).json({
+    success: false,
+    message,
+    error
+});
+
+const parseDate = (value) => {
+    if (value === undefined) return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// Unified search across posts, users and hashtags - No auth required
+router.get('/', optionalAuth, rateLimit('search'), async (req, res) => {
+    try {
+        const q = sanitizeQuery(req.query.q);
+        if (!q) {
+            return badRequest(res, 'Search query is required', 'QUERY_REQUIRED');
+        }
+
+        const type = req.query.type || 'all';
+        if (!TYPES.includes(type)) {
+            return badRequest(res, `type must be one of ${TYPES.join(', ')}`, 'INVALID_TYPE');
+        }
+
+        const from = parseDate(req.query.from);
+        const to = parseDate(req.query.to);
+        if (from === null || to === null) {
+            return badRequest(res, 'from and to must be valid dates', 'INVALID_DATE');
+        }
+
+        const filters = { from, to };
+        if (req.query.hasMedia !== undefined) {
+            filters.hasMedia = req.query.hasMedia === 'true';
+        }
+
+        const { page, limit, skip } = parsePageParams(req.query);
+        const response = { success: true, query: q, type, currentPage: page };
+
+        // Searching posts by an author that doesn't exist finds nothing
+        let skipPosts = false;
+        if (req.query.author) {
+            filters.author = await resolveAuthor(req.query.author);
+            skipPosts = !filters.author;
+        }
+
+        if (type === 'all' || type === 'posts') {
+            const { results, hasMore } = skipPosts
+                ? { results: [], hasMore: false }
+                : await searchPosts(q, { filter: await visiblePostsFilter(req.user), filters, skip, limit });
+            response.posts = results;
+            response.hasMorePosts = hasMore;
+        }
+
+        if (type === 'all' || type === 'users') {
+            const { results, hasMore } = await searchUsers(q, {
+                excludeIds: await excludedUserIds(req.user),
+                skip,
+                limit
+            });
+            response.users = results;
+            response.hasMoreUsers = hasMore;
+        }
+
+        if (type === 'all' || type === 'tags') {
+            const { results, hasMore } = await searchTags(q, {
+                filter: await visiblePostsFilter(req.user),
+                skip,
+                limit
+            });
+            response.tags = results;
+            response.hasMoreTags = hasMore;
+        }
+
+        res.json(response);
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Search failed',
+            error: 'SEARCH_FAILED'
+        });
+    }
+});
+
+module.exports = router;
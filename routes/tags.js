@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const Post = require('../models/Post');
+const optionalAuth = require('../middleware/optionalAuth');
+const { visiblePostsFilter } = require('../services/visibility');
+const { applyRepostVisibility } = require('../services/reposts');
+const { withMyReaction } = require('../services/reactions');
+const { normalizeTag } = require('../utils/entities');
+const { parsePagination, paginate, invalidCursorResponse } = require('../utils/pagination');
+const { populatePostList } = require('../utils/populate');
+
+// Get posts with a hashtag (with pagination) - No auth required
+router.get('/:tag', optionalAuth, async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query);
+        if (!pagination) {
+            return invalidCursorResponse(res);
+        }
+
+        const tag = normalizeTag(req.params.tag.replace(/^#/, ''));
+        const filter = { ...(await visiblePostsFilter(req.user)), hashtags: tag };
+
+        const { items, nextCursor, prevCursor, hasMore } = await paginate(
+            Post, filter, pagination, populatePostList
+        );
+        const posts = withMyReaction(await applyRepostVisibility(items, req.user), req.user);
+
+        res.json({
+            success: true,
+            tag,
+            posts,
+            nextCursor,
+            prevCursor,
+            hasMore
+        });
+    } catch (error) {
+        console.error('Error fetching tagged posts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load posts',
+            error: 'POSTS_FETCH_ERROR'
+        });
+    }
+});
+
+module.exports = router;
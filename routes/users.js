@@ -1,16 +1,251 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Post = require('../models/Post');
+const DataExport = require('../models/DataExport');
 const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { findOwnedMedia, getThumbnail } = require('../services/mediaService');
+const { sanitizeQuery, searchUsers } = require('../services/search');
+const { deactivateAccount } = require('../services/accountDeactivation');
+const { verifyDownloadToken } = require('../services/tokenService');
+const { filePath, requestExport, isDownloadable, describeExport } = require('../services/dataExport');
+const { applyRepostVisibility } = require('../services/reposts');
+const { withMyReaction } = require('../services/reactions');
+const { parsePagination, paginate, invalidCursorResponse } = require('../utils/pagination');
+const { populatePostList } = require('../utils/populate');
+const optionalAuth = require('../middleware/optionalAuth');
+const { notify } = require('../services/notifications');
+const {
+    canViewUser,
+    privateAccountResponse,
+    isBlockedBetween,
+    isBlockedWith,
+    excludedUserIds,
+    blockedResponse
+} = require('../services/visibility');
+
+// Fields only the account owner (or staff, through the admin routes) gets to
+// see, including the account's moderation history
+const PRIVATE_FIELDS = [
+    '-password -followRequests -blocked -muted -notificationPreferences',
+    '-role -warnings -suspendedUntil -suspensionReason',
+    '-emailVerified -passwordChangedAt -deactivatedAt'
+].join(' ');
+
+// Makes `followerId` follow `targetId` and clears any pending request
+const addFollower = async (targetId, followerId) => {
+    await User.updateOne(
+        { _id: targetId },
+        { $addToSet: { followers: followerId }, $pull: { followRequests: followerId } }
+    );
+    await User.updateOne({ _id: followerId }, { $addToSet: { following: targetId } });
+};
+
+// List pending follow requests for the current user
+router.get('/follow-requests', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id)
+            .populate({ path: 'followRequests', select: 'username profilePicture bio', match: User.ACTIVE });
+
+        res.json(user.followRequests);
+    } catch (error) {
+        console.error('Error fetching follow requests:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Approve a pending follow request from user :id
+router.post('/follow-requests/:id/approve', auth, async (req, res) => {
+    try {
+        if (!req.user.followRequests.some(id => id.toString() === req.params.id)) {
+            return res.status(404).json({ message: 'Follow request not found' });
+        }
+
+        await addFollower(req.user._id, req.params.id);
+
+        await notify({
+            recipient: req.params.id,
+            sender: req.user._id,
+            type: 'follow_accepted',
+            content: `${req.user.username} accepted your follow request`
+        });
+
+        res.json({ message: 'Follow request approved' });
+    } catch (error) {
+        console.error('Error approving follow request:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Reject a pending follow request from user :id
+router.post('/follow-requests/:id/reject', auth, async (req, res) => {
+    try {
+        if (!req.user.followRequests.some(id => id.toString() === req.params.id)) {
+            return res.status(404).json({ message: 'Follow request not found' });
+        }
+
+        await User.updateOne(
+            { _id: req.user._id },
+            { $pull: { followRequests: req.params.id } }
+        );
+
+        res.json({ message: 'Follow request rejected' });
+    } catch (error) {
+        console.error('Error rejecting follow request:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// List users the current user has blocked
+router.get('/blocks', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id)
+            .populate('blocked', 'username profilePicture');
+
+        res.json(user.blocked);
+    } catch (error) {
+        console.error('Error fetching blocked users:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// List users the current user has muted
+router.get('/mutes', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id)
+            .populate('muted', 'username profilePicture');
+
+        res.json(user.muted);
+    } catch (error) {
+        console.error('Error fetching muted users:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Start building an archive of the current user's data. Poll the export's
+// status until it's ready, then download it.
+router.post('/me/export', auth, rateLimit('export'), async (req, res) => {
+    try {
+        const { dataExport, created } = await requestExport(req.user._id);
+
+        if (!created) {
+            return res.status(409).json({
+                success: false,
+                message: 'An export is already being prepared',
+                error: 'EXPORT_IN_PROGRESS',
+                export: describeExport(dataExport)
+            });
+        }
+
+        res.status(202).json({ export: describeExport(dataExport) });
+    } catch (error) {
+        console.error('Error requesting data export:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// List the current user's recent exports
+router.get('/me/export', auth, async (req, res) => {
+    try {
+        const exports = await DataExport.find({ user: req.user._id })
+            .sort({ createdAt: -1 })
+            .limit(10);
+
+        res.json({ exports: exports.map(describeExport) });
+    } catch (error) {
+        console.error('Error fetching data exports:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Loads one of the current user's exports by :id, or sends a 404 and
+// resolves to null
+const loadOwnExport = async (req, res) => {
+    const dataExport = mongoose.Types.ObjectId.isValid(req.params.id) &&
+        await DataExport.findOne({ _id: req.params.id, user: req.user._id });
+    if (!dataExport) {
+        res.status(404).json({ message: 'Export not found' });
+        return null;
+    }
+    return dataExport;
+};
+
+// Export status and progress
+router.get('/me/export/:id', auth, async (req, res) => {
+    try {
+        const dataExport = await loadOwnExport(req, res);
+        if (!dataExport) return;
+
+        res.json({ export: describeExport(dataExport) });
+    } catch (error) {
+        console.error('Error fetching data export:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Download a finished export, until it expires. Takes only the signed
+// ?token= from the export's downloadUrl, never an access token.
+router.get('/me/export/:id/download', async (req, res) => {
+    try {
+        const claims = typeof req.query.token === 'string' && verifyDownloadToken(req.query.token);
+        if (!claims || claims.exportId !== req.params.id) {
+            return res.status(401).json({
+                success: false,
+                message: 'Download link is invalid or has expired',
+                error: 'INVALID_DOWNLOAD_TOKEN'
+            });
+        }
+
+        const user = await User.findOne({ _id: claims.userId, ...User.ACTIVE }).select('username');
+        const dataExport = user && await DataExport.findOne({ _id: claims.exportId, user: user._id });
+        if (!dataExport) {
+            return res.status(404).json({ message: 'Export not found' });
+        }
+
+        if (dataExport.status === 'expired' || (dataExport.status === 'ready' && !isDownloadable(dataExport))) {
+            return res.status(410).json({
+                success: false,
+                message: 'This export has expired; request a new one',
+                error: 'EXPORT_EXPIRED'
+            });
+        }
+
+        if (!isDownloadable(dataExport)) {
+            return res.status(409).json({
+                success: false,
+                message: 'This export is not ready',
+                error: 'EXPORT_NOT_READY',
+                export: describeExport(dataExport)
+            });
+        }
+
+        const date = dataExport.completedAt.toISOString().slice(0, 10);
+        res.set('Cache-Control', 'private, no-store');
+        res.download(filePath(dataExport.fileKey), `${user.username}-data-${date}.zip`, (error) => {
+            if (error && !res.headersSent) {
+                console.error('Error sending data export:', error);
+                res.status(500).json({ message: 'Server error' });
+            }
+        });
+    } catch (error) {
+        console.error('Error downloading data export:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
 
 // Get user profile
 router.get('/:id', auth, async (req, res) => {
     try {
-        const user = await User.findById(req.params.id)
-            .select('-password')
-            .populate('followers', 'username profilePicture')
-            .populate('following', 'username profilePicture');
+        if (await isBlockedWith(req.user, req.params.id)) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const user = await User.findOne({ _id: req.params.id, ...User.ACTIVE })
+            .select(PRIVATE_FIELDS)
+            .populate({ path: 'followers', select: 'username profilePicture', match: User.ACTIVE })
+            .populate({ path: 'following', select: 'username profilePicture', match: User.ACTIVE });
 
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
@@ -25,13 +260,54 @@ router.get('/:id', auth, async (req, res) => {
 // Update user profile
 router.put('/profile', auth, async (req, res) => {
     try {
-        const { bio, profilePicture } = req.body;
+        const { bio, profilePicture, isPrivate, messagePolicy } = req.body;
         const user = await User.findById(req.user._id);
 
         if (bio) user.bio = bio;
-        if (profilePicture) user.profilePicture = profilePicture;
 
+        if (typeof isPrivate === 'boolean') {
+            // Going public lets everyone who was waiting in
+            if (user.isPrivate && !isPrivate) {
+                for (const requesterId of user.followRequests) {
+                    await User.updateOne({ _id: requesterId }, { $addToSet: { following: user._id } });
+                }
+                user.followers.addToSet(...user.followRequests);
+                user.followRequests = [];
+            }
+            user.isPrivate = isPrivate;
+        }
+
+        if (messagePolicy !== undefined) {
+            if (!User.schema.path('messagePolicy').enumValues.includes(messagePolicy)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'messagePolicy must be one of everyone, following, nobody',
+                    error: 'INVALID_MESSAGE_POLICY'
+                });
+            }
+            user.messagePolicy = messagePolicy;
+        }
+
+        // profilePicture is the id of an image uploaded through POST /api/media
+        if (profilePicture) {
+            const media = await findOwnedMedia(user._id, [profilePicture]);
+            if (!media) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'profilePicture must be the id of an image you uploaded',
+                    error: 'INVALID_MEDIA'
+                });
+            }
+
+            user.profilePictureMedia = media[0]._id;
+            user.profilePicture = getThumbnail(media[0], 'medium').url;
+        }
+
+        const privacyChanged = user.isModified('isPrivate');
         await user.save();
+        if (privacyChanged) {
+            await Post.updateMany({ user: user._id }, { $set: { authorIsPrivate: user.isPrivate } });
+        }
         res.json(user);
     } catch (error) {
         res.status(500).json({ message: 'Server error' });
@@ -39,34 +315,62 @@ router.put('/profile', auth, async (req, res) => {
 });
 
 // Follow user
-router.post('/follow/:id', auth, async (req, res) => {
+router.post('/follow/:id', auth, rateLimit('follow'), async (req, res) => {
     try {
         if (req.params.id === req.user._id.toString()) {
             return res.status(400).json({ message: 'You cannot follow yourself' });
         }
 
-        const userToFollow = await User.findById(req.params.id);
+        const userToFollow = await User.findOne({ _id: req.params.id, ...User.ACTIVE });
         const currentUser = await User.findById(req.user._id);
 
         if (!userToFollow) {
             return res.status(404).json({ message: 'User not found' });
         }
 
+        if (isBlockedBetween(currentUser, userToFollow)) {
+            return blockedResponse(res);
+        }
+
         if (currentUser.following.includes(req.params.id)) {
             return res.status(400).json({ message: 'You are already following this user' });
         }
 
-        await currentUser.updateOne({ $push: { following: req.params.id } });
-        await userToFollow.updateOne({ $push: { followers: req.user._id } });
+        // Private accounts have to approve new followers
+        if (userToFollow.isPrivate) {
+            if (userToFollow.followRequests.includes(req.user._id)) {
+                return res.status(400).json({ message: 'Follow request already sent' });
+            }
+
+            await userToFollow.updateOne({ $addToSet: { followRequests: req.user._id } });
+
+            await notify({
+                recipient: userToFollow._id,
+                sender: req.user._id,
+                type: 'follow_request',
+                content: `${req.user.username} requested to follow you`
+            });
+
+            return res.json({ message: 'Follow request sent', status: 'requested' });
+        }
 
-        res.json({ message: 'User followed successfully' });
+        await addFollower(userToFollow._id, req.user._id);
+
+        await notify({
+            recipient: userToFollow._id,
+            sender: req.user._id,
+            type: 'follow',
+            content: `${req.user.username} started following you`
+        });
+
+        res.json({ message: 'User followed successfully', status: 'following' });
     } catch (error) {
         res.status(500).json({ message: 'Server error' });
     }
 });
 
 // Unfollow user
-router.post('/unfollow/:id', auth, async (req, res) => {
+router.post('/unfollow/:id', auth, rateLimit('follow'), async (req, res) => {
     try {
         if (req.params.id === req.user._id.toString()) {
             return res.status(400).json({ message: 'You cannot unfollow yourself' });
@@ -79,6 +383,12 @@ router.post('/unfollow/:id', auth, async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
 
+        // Unfollowing a private account before approval cancels the request
+        if (userToUnfollow.followRequests.includes(req.user._id)) {
+            await userToUnfollow.updateOne({ $pull: { followRequests: req.user._id } });
+            return res.json({ message: 'Follow request cancelled' });
+        }
+
         if (!currentUser.following.includes(req.params.id)) {
             return res.status(400).json({ message: 'You are not following this user' });
         }
@@ -92,16 +402,105 @@ router.post('/unfollow/:id', auth, async (req, res) => {
     }
 });
 
+// Block user: removes follows and follow requests in both directions
+router.post('/block/:id', auth, async (req, res) => {
+    try {
+        if (req.params.id === req.user._id.toString()) {
+            return res.status(400).json({ message: 'You cannot block yourself' });
+        }
+
+        const userToBlock = await User.findById(req.params.id);
+        if (!userToBlock) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        await User.updateOne({ _id: req.user._id }, {
+            $addToSet: { blocked: userToBlock._id },
+            $pull: {
+                following: userToBlock._id,
+                followers: userToBlock._id,
+                followRequests: userToBlock._id
+            }
+        });
+        await User.updateOne({ _id: userToBlock._id }, {
+            $pull: {
+                following: req.user._id,
+                followers: req.user._id,
+                followRequests: req.user._id
+            }
+        });
+
+        res.json({ message: 'User blocked successfully' });
+    } catch (error) {
+        console.error('Error blocking user:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Unblock user
+router.post('/unblock/:id', auth, async (req, res) => {
+    try {
+        if (!req.user.blocked.includes(req.params.id)) {
+            return res.status(400).json({ message: 'You have not blocked this user' });
+        }
+
+        await User.updateOne({ _id: req.user._id }, { $pull: { blocked: req.params.id } });
+
+        res.json({ message: 'User unblocked successfully' });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Mute user: hides their content from feeds, search and notifications
+router.post('/mute/:id', auth, async (req, res) => {
+    try {
+        if (req.params.id === req.user._id.toString()) {
+            return res.status(400).json({ message: 'You cannot mute yourself' });
+        }
+
+        const userToMute = await User.findById(req.params.id);
+        if (!userToMute) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        await User.updateOne({ _id: req.user._id }, { $addToSet: { muted: userToMute._id } });
+
+        res.json({ message: 'User muted successfully' });
+    } catch (error) {
+        console.error('Error muting user:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Unmute user
+router.post('/unmute/:id', auth, async (req, res) => {
+    try {
+        if (!req.user.muted.includes(req.params.id)) {
+            return res.status(400).json({ message: 'You have not muted this user' });
+        }
+
+        await User.updateOne({ _id: req.user._id }, { $pull: { muted: req.params.id } });
+
+        res.json({ message: 'User unmuted successfully' });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // Search users
-router.get('/search/:query', auth, async (req, res) => {
+// Kept for older clients; GET /api/search?type=users supports pagination
+router.get('/search/:query', auth, rateLimit('search'), async (req, res) => {
     try {
-        const searchQuery = req.params.query;
-        const users = await User.find({
-            $or: [
-                { username: { $regex: searchQuery, $options: 'i' } },
-                { bio: { $regex: searchQuery, $options: 'i' } }
-            ]
-        }).select('-password');
+        const query = sanitizeQuery(req.params.query);
+        if (!query) {
+            return res.status(400).json({ message: 'Search query is required' });
+        }
+
+        const { results: users } = await searchUsers(query, {
+            excludeIds: await excludedUserIds(req.user),
+            limit: 20
+        });
 
         res.json(users);
     } catch (error) {
@@ -110,37 +509,39 @@ router.get('/search/:query', auth, async (req, res) => {
 });
 
 // Get complete user profile with posts
-router.get('/profile/:id', async (req, res) => {
+router.get('/profile/:id', optionalAuth, async (req, res) => {
     try {
+        if (await isBlockedWith(req.user, req.params.id)) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
         // Get user profile
-        const user = await User.findById(req.params.id)
-            .select('-password')
-            .populate('followers', 'username profilePicture')
-            .populate('following', 'username profilePicture');
+        const user = await User.findOne({ _id: req.params.id, ...User.ACTIVE })
+            .select(PRIVATE_FIELDS)
+            .populate({ path: 'followers', select: 'username profilePicture', match: User.ACTIVE })
+            .populate({ path: 'following', select: 'username profilePicture', match: User.ACTIVE });
 
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
 
+        if (!canViewUser(req.user, user)) {
+            return privateAccountResponse(res);
+        }
+
         // Get user's posts with pagination
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
+        const pagination = parsePagination(req.query);
+        if (!pagination) {
+            return invalidCursorResponse(res);
+        }
 
-        const posts = await Post.find({ user: req.params.id })
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit)
-            .populate('user', 'username profilePicture')
-            .populate({
-                path: 'comments',
-                populate: {
-                    path: 'user',
-                    select: 'username profilePicture'
-                }
-            });
+        const { items, nextCursor, prevCursor, hasMore } = await paginate(
+            Post, { user: req.params.id, ...Post.VISIBLE }, pagination, populatePostList
+        );
+        // Includes the user's reposts, credited to them
+        const posts = withMyReaction(await applyRepostVisibility(items, req.user), req.user);
 
-        const totalPosts = await Post.countDocuments({ user: req.params.id });
+        const totalPosts = await Post.countDocuments({ user: req.params.id, ...Post.VISIBLE });
 
         // Get user's stats
         const stats = {
@@ -149,28 +550,39 @@ router.get('/profile/:id', async (req, res) => {
             followingCount: user.following.length
         };
 
-        res.json({
+        const response = {
             user,
             posts,
             stats,
-            currentPage: page,
-            totalPages: Math.ceil(totalPosts / limit),
+            nextCursor,
+            prevCursor,
+            hasMore,
             totalPosts
-        });
+        };
+
+        // Legacy page-based fields, kept while clients migrate to cursors
+        if (pagination.page) {
+            response.currentPage = pagination.page;
+            response.totalPages = Math.ceil(totalPosts / pagination.limit);
+        }
+
+        res.json(response);
     } catch (error) {
         console.error('Error fetching user profile:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Delete user by username
+// Delete user by username. The account is deactivated: it disappears right
+// away, logging in within the grace period restores it, and after that it's
+// purged for good.
 router.delete('/username/:username', auth, async (req, res) => {
     try {
         console.log('============ DELETE USER ROUTE HIT ============');
         console.log('Username to delete:', req.params.username);
         console.log('User ID requesting delete:', req.user._id);
 
-        const user = await User.findOne({ username: req.params.username });
+        const user = await User.findOne({ username: req.params.username, ...User.ACTIVE });
         
         if (!user) {
             console.log('User not found');
@@ -182,35 +594,20 @@ router.delete('/username/:username', auth, async (req, res) => {
             return res.status(401).json({ message: 'Not authorized' });
         }
 
-        // Delete all posts by this user
-        const deletedPosts = await Post.deleteMany({ user: user._id });
-        console.log(`Deleted ${deletedPosts.deletedCount} posts`);
-
-        // Remove user from followers and following lists of other users
-        const followersUpdate = await User.updateMany(
-            { followers: user._id },
-            { $pull: { followers: user._id } }
-        );
-        const followingUpdate = await User.updateMany(
-            { following: user._id },
-            { $pull: { following: user._id } }
-        );
-        console.log(`Removed user from ${followersUpdate.modifiedCount} followers lists`);
-        console.log(`Removed user from ${followingUpdate.modifiedCount} following lists`);
-
-        // Delete the user
-        await user.deleteOne();
-        console.log('User successfully deleted');
-        console.log('Deleted user details:', {
+        const deletionScheduledFor = await deactivateAccount(user);
+        console.log('User successfully deactivated');
+        console.log('Deactivated user details:', {
             userId: user._id,
             username: user.username,
             email: user.email,
-            followersCount: user.followers.length,
-            followingCount: user.following.length
+            deletionScheduledFor
         });
         console.log('=============================================');
 
-        res.json({ message: 'User deleted successfully' });
+        res.json({
+            message: 'Account deactivated. Log in again within the grace period to restore it.',
+            deletionScheduledFor
+        });
     } catch (error) {
         console.error('Error deleting user:', error);
         res.status(500).json({ message: 'Server error' });
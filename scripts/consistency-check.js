@@ -0,0 +1,31 @@
+// Reports references to documents that no longer exist (posts of deleted
+// users, bookmarks of deleted posts, ...). Pass --repair to clean them up.
+// Same check as POST /api/admin/maintenance/consistency-check.
+//
+//   npm run consistency-check -- [--repair]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { runConsistencyCheck } = require('../services/consistency');
+
+dotenv.config();
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const repair = process.argv.includes('--repair');
+    const { checks } = await runConsistencyCheck({ repair });
+
+    for (const [name, check] of Object.entries(checks)) {
+        console.log(`Missing ${name}: ${check.missing}`);
+    }
+    console.log(repair ? 'Repaired' : 'Dry run; pass --repair to clean up');
+
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('Consistency check failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,37 @@
+// One-off migration: copies each private account's isPrivate onto its
+// posts' `authorIsPrivate`, which post lists filter on. Posts written before
+// the field existed count as public until this has run. Safe to run more
+// than once.
+//
+//   npm run migrate:author-private
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    let accounts = 0;
+    let posts = 0;
+    for await (const user of User.find({ isPrivate: true }).select('_id').cursor()) {
+        const result = await Post.updateMany(
+            { user: user._id, authorIsPrivate: { $ne: true } },
+            { $set: { authorIsPrivate: true } }
+        );
+        accounts++;
+        posts += result.modifiedCount;
+    }
+    console.log(`Marked ${posts} posts of ${accounts} private accounts`);
+
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,39 @@
+// One-off migration: marks accounts created before email verification
+// existed as verified, so UNVERIFIED_RESTRICTIONS doesn't lock them out.
+// Those accounts have no `emailVerified` field until they're next saved;
+// if the feature has been live for a while, also pass the date it was
+// deployed to cover accounts saved since. Safe to run more than once.
+//
+//   npm run migrate:email-verified -- [--before=2024-05-01]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const filter = [{ emailVerified: { $exists: false } }];
+    const before = process.argv.find(arg => arg.startsWith('--before='));
+    if (before) {
+        const date = new Date(before.slice('--before='.length));
+        if (isNaN(date)) throw new Error('--before must be a date, e.g. --before=2024-05-01');
+        filter.push({ createdAt: { $lt: date } });
+    }
+
+    const result = await User.updateMany(
+        { $or: filter, emailVerified: { $ne: true } },
+        { $set: { emailVerified: true } }
+    );
+    console.log(`Marked ${result.modifiedCount} existing accounts as verified`);
+
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
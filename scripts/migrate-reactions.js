@@ -0,0 +1,87 @@
+// One-off migration: turns the legacy `likes` arrays on posts and comments
+// into `like` reactions. Merges per user, so documents that already picked up
+// reactions after the deploy keep them and still get their older likes, and
+// `reactionCounts` is recomputed from the result. Safe to run more than once.
+//
+//   npm run migrate:reactions
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+dotenv.config();
+
+const migrate = (Model) => Model.updateMany(
+    { 'likes.0': { $exists: true } },
+    [
+        // Add a `like` for every liker who has no reaction yet
+        {
+            $set: {
+                reactions: {
+                    $concatArrays: [
+                        { $ifNull: ['$reactions', []] },
+                        {
+                            $map: {
+                                input: {
+                                    $filter: {
+                                        input: '$likes',
+                                        as: 'user',
+                                        cond: {
+                                            $not: [{ $in: ['$$user', { $ifNull: ['$reactions.user', []] }] }]
+                                        }
+                                    }
+                                },
+                                as: 'user',
+                                in: { user: '$$user', type: 'like' }
+                            }
+                        }
+                    ]
+                }
+            }
+        },
+        // { like: 3, love: 1 } from the merged reactions
+        {
+            $set: {
+                reactionCounts: {
+                    $arrayToObject: {
+                        $map: {
+                            input: { $setUnion: ['$reactions.type'] },
+                            as: 'type',
+                            in: {
+                                k: '$$type',
+                                v: {
+                                    $size: {
+                                        $filter: {
+                                            input: '$reactions',
+                                            as: 'reaction',
+                                            cond: { $eq: ['$$reaction.type', '$$type'] }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    ]
+);
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const posts = await migrate(Post);
+    console.log(`Migrated likes on ${posts.modifiedCount} posts`);
+
+    const comments = await migrate(Comment);
+    console.log(`Migrated likes on ${comments.modifiedCount} comments`);
+
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -10,16 +10,35 @@ console.log('Looking for .env file...');
 dotenv.config();
 console.log('MONGO_URI:', process.env.MONGO_URI);
 
+// These read their settings from the environment, so load them after dotenv
+const { startPurgeJob } = require('./services/accountDeactivation');
+const { startExportCleanupJob } = require('./services/dataExport');
+
 // Create Express app
 const app = express();
 
+// Behind a load balancer, set TRUST_PROXY (e.g. "1") so req.ip, which the
+// rate limiter keys on, is the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({
+    exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+}));
 app.use(express.json());
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGO_URI)
-    .then(() => console.log('Connected to MongoDB'))
+    .then(() => {
+        console.log('Connected to MongoDB');
+        // Permanently delete accounts whose deactivation grace period is over
+        startPurgeJob();
+        // Delete expired data export archives
+        startExportCleanupJob();
+    })
     .catch((err) => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -28,6 +47,17 @@ app.use('/api/users', require('./routes/users'));
 app.use('/api/posts', require('./routes/posts'));
 app.use('/api/comments', require('./routes/comments'));
 app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/media', require('./routes/media'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/moderation', require('./routes/moderation'));
+app.use('/api/bookmarks', require('./routes/bookmarks'));
+app.use('/api/conversations', require('./routes/conversations'));
+app.use('/api/admin', require('./routes/admin'));
+
+// Files saved by the local disk storage adapter
+app.use('/uploads', express.static(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads')));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,82 @@
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { revokeAllForUser } = require('./tokenService');
+const { deleteUser } = require('./deletion');
+const { runInTransaction } = require('../utils/transactions');
+
+// Days a deactivated account can still be restored by logging in
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const GRACE_MS = GRACE_DAYS * 24 * 60 * 60 * 1000;
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// When a deactivated account will be purged
+const purgeDate = (user) => new Date(user.deactivatedAt.getTime() + GRACE_MS);
+
+const canReactivate = (user) => user.isDeactivated() && purgeDate(user) > new Date();
+
+// Flags or unflags everything the user wrote, which hides it through the
+// models' VISIBLE filter, together with the account itself
+const setDeactivated = (userId, deactivatedAt) => runInTransaction(async (session) => {
+    const authorDeactivated = Boolean(deactivatedAt);
+    await User.updateOne({ _id: userId }, { $set: { deactivatedAt } }, { session });
+    await Post.updateMany({ user: userId }, { $set: { authorDeactivated } }, { session });
+    await Comment.updateMany({ user: userId }, { $set: { authorDeactivated } }, { session });
+});
+
+// Hides the account and its content and signs it out everywhere. Nothing is
+// deleted until the grace period has passed. Access tokens stop working at
+// once too: they belong to the revoked sessions, which auth checks on every
+// request, so they stay dead even after the account is reactivated.
+const deactivateAccount = async (user) => {
+    user.deactivatedAt = new Date();
+    await setDeactivated(user._id, user.deactivatedAt);
+    await revokeAllForUser(user._id);
+    return purgeDate(user);
+};
+
+const reactivateAccount = async (user) => {
+    user.deactivatedAt = null;
+    await setDeactivated(user._id, null);
+};
+
+// Permanently deletes accounts whose grace period is over; returns how many
+const purgeDeactivatedAccounts = async () => {
+    const users = await User.find({ deactivatedAt: { $lte: new Date(Date.now() - GRACE_MS) } })
+        .select('_id username');
+
+    let purged = 0;
+    for (const user of users) {
+        try {
+            await deleteUser(user._id);
+            purged++;
+            console.log('Purged deactivated account:', user.username);
+        } catch (error) {
+            // Left for the next run
+            console.error('Error purging deactivated account:', user.username, error);
+        }
+    }
+    return purged;
+};
+
+// Runs the purge now and then hourly in the background
+const startPurgeJob = () => {
+    const run = () => purgeDeactivatedAccounts()
+        .catch(error => console.error('Account purge failed:', error));
+
+    run();
+    const timer = setInterval(run, PURGE_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    GRACE_DAYS,
+    purgeDate,
+    canReactivate,
+    deactivateAccount,
+    reactivateAccount,
+    purgeDeactivatedAccounts,
+    startPurgeJob
+};
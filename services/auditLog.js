@@ -0,0 +1,17 @@
+const AuditLog = require('../models/AuditLog');
+
+// Appends an entry for a privileged action taken by req.user
+const recordAudit = (req, action, { targetType = null, target = null, details = {} } = {}) =>
+    AuditLog.create({
+        actor: req.user._id,
+        actorRole: req.user.role,
+        action,
+        targetType,
+        target,
+        details,
+        ip: req.ip || ''
+    });
+
+module.exports = {
+    recordAudit
+};
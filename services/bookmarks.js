@@ -0,0 +1,23 @@
+const Bookmark = require('../models/Bookmark');
+
+// Returns the posts as plain objects with `bookmarkedByMe` set for `viewer`
+// (always false when signed out)
+const withBookmarkFlag = async (posts, viewer) => {
+    const saved = new Set();
+    if (viewer && posts.length) {
+        const bookmarks = await Bookmark.find({
+            user: viewer._id,
+            post: { $in: posts.map(post => post._id) }
+        }).select('post');
+        bookmarks.forEach(bookmark => saved.add(bookmark.post.toString()));
+    }
+
+    return posts.map(post => ({
+        ...post.toObject(),
+        bookmarkedByMe: saved.has(post._id.toString())
+    }));
+};
+
+module.exports = {
+    withBookmarkFlag
+};
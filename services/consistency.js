@@ -0,0 +1,181 @@
+const Bookmark = require('../models/Bookmark');
+const BookmarkCollection = require('../models/BookmarkCollection');
+const Comment = require('../models/Comment');
+const Conversation = require('../models/Conversation');
+const DataExport = require('../models/DataExport');
+const Media = require('../models/Media');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const Post = require('../models/Post');
+const RefreshToken = require('../models/RefreshToken');
+const Revision = require('../models/Revision');
+const User = require('../models/User');
+const { purgePosts, purgeComments, purgeUser, removeFiles } = require('./deletion');
+const { removeExports } = require('./dataExport');
+const { runInTransaction } = require('../utils/transactions');
+
+// Ids shown per check in the report; the counts are always complete
+const SAMPLE_SIZE = 20;
+
+// Every place that refers to another document by id, grouped by the
+// collection the id points into. An optional filter limits which documents
+// are checked.
+const REFERENCES = {
+    users: {
+        model: User,
+        sources: [
+            [Post, 'user'],
+            [Post, 'reactions.user'],
+            [Comment, 'user'],
+            [Comment, 'reactions.user'],
+            [Notification, 'recipient'],
+            [Notification, 'sender'],
+            [User, 'followers'],
+            [User, 'following'],
+            [User, 'followRequests'],
+            [User, 'blocked'],
+            [User, 'muted'],
+            [Bookmark, 'user'],
+            [BookmarkCollection, 'user'],
+            [Conversation, 'participants.user'],
+            [Message, 'sender'],
+            [Media, 'owner'],
+            [RefreshToken, 'user'],
+            [DataExport, 'user']
+        ]
+    },
+    posts: {
+        model: Post,
+        sources: [
+            [Post, 'repostOf'],
+            // Tombstoned quotes keep pointing at the deleted post on purpose
+            [Post, 'quoteOf', { quotedPostDeleted: false }],
+            [Comment, 'post'],
+            [Notification, 'post'],
+            [Notification, 'quote'],
+            [Bookmark, 'post'],
+            [Revision, 'target', { targetType: 'post' }]
+        ]
+    },
+    comments: {
+        model: Comment,
+        sources: [
+            [Comment, 'parentComment'],
+            [Post, 'comments'],
+            [Notification, 'comment'],
+            [Revision, 'target', { targetType: 'comment' }]
+        ]
+    },
+    conversations: {
+        model: Conversation,
+        sources: [
+            [Message, 'conversation'],
+            [Notification, 'conversation']
+        ]
+    },
+    bookmarkCollections: {
+        model: BookmarkCollection,
+        sources: [
+            [Bookmark, 'bookmarkCollection']
+        ]
+    },
+    media: {
+        model: Media,
+        sources: [
+            [Post, 'media.media']
+        ]
+    }
+};
+
+// Ids referenced from `sources` that don't exist in `model`
+const findMissing = async ({ model, sources }) => {
+    const referenced = new Map();
+    for (const [Model, path, filter = {}] of sources) {
+        const ids = await Model.distinct(path, filter);
+        ids.filter(Boolean).forEach(id => referenced.set(id.toString(), id));
+    }
+
+    const existing = new Set();
+    const ids = [...referenced.values()];
+    for (let i = 0; i < ids.length; i += 1000) {
+        const found = await model.find({ _id: { $in: ids.slice(i, i + 1000) } }).distinct('_id');
+        found.forEach(id => existing.add(id.toString()));
+    }
+
+    return ids.filter(id => !existing.has(id.toString()));
+};
+
+// Clears out what's left of users that no longer exist. purgeUser only
+// works off the id, so it cleans up after an account that's already gone.
+const repairUsers = async (missing) => {
+    for (const userId of missing) {
+        const keys = await runInTransaction(session => purgeUser(userId, session));
+        await removeFiles(keys);
+        await removeExports(userId);
+    }
+};
+
+// Reposts, comments, notifications and bookmarks of missing posts go the
+// same way they would have if the post had been deleted normally
+const repairPosts = (missing) => runInTransaction(session => purgePosts(missing, session));
+
+const repairComments = (missing) => runInTransaction(async (session) => {
+    const orphanedReplies = await Comment.find({ parentComment: { $in: missing } })
+        .distinct('_id').session(session);
+    await purgeComments(orphanedReplies, session);
+    await Post.updateMany({ comments: { $in: missing } }, { $pull: { comments: { $in: missing } } }, { session });
+    await Notification.deleteMany({ comment: { $in: missing } }, { session });
+    await Revision.deleteMany({ targetType: 'comment', target: { $in: missing } }, { session });
+});
+
+const repairConversations = (missing) => runInTransaction(async (session) => {
+    await Message.deleteMany({ conversation: { $in: missing } }, { session });
+    await Notification.deleteMany({ conversation: { $in: missing } }, { session });
+});
+
+// Bookmarks in a deleted collection fall back to "no collection"
+const repairBookmarkCollections = (missing) => Bookmark.updateMany(
+    { bookmarkCollection: { $in: missing } },
+    { $set: { bookmarkCollection: null } }
+);
+
+// Attachments whose upload is gone are dropped from the post
+const repairMedia = (missing) => Post.updateMany(
+    { 'media.media': { $in: missing } },
+    { $pull: { media: { media: { $in: missing } } } }
+);
+
+const REPAIRS = {
+    users: repairUsers,
+    posts: repairPosts,
+    comments: repairComments,
+    conversations: repairConversations,
+    bookmarkCollections: repairBookmarkCollections,
+    media: repairMedia
+};
+
+// Finds references to documents that no longer exist and, with `repair`,
+// cleans them up. Checks run in order, so repairing users first also
+// removes the posts and comments that would show up in later checks.
+// Quotes of deleted posts are tombstoned as part of the posts check.
+const runConsistencyCheck = async ({ repair = false } = {}) => {
+    const checks = {};
+
+    for (const [name, reference] of Object.entries(REFERENCES)) {
+        const missing = await findMissing(reference);
+        checks[name] = {
+            missing: missing.length,
+            sample: missing.slice(0, SAMPLE_SIZE)
+        };
+
+        if (repair && missing.length > 0) {
+            await REPAIRS[name](missing);
+        }
+    }
+
+    return { repaired: repair, checks };
+};
+
+module.exports = {
+    runConsistencyCheck
+};
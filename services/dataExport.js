@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const Comment = require('../models/Comment');
+const DataExport = require('../models/DataExport');
+const Notification = require('../models/Notification');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { signDownloadToken } = require('./tokenService');
+
+// Archives are private, so they live outside the public uploads directory
+// and are only served through the download route, behind a signed link
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, '..', 'exports');
+
+// How long a finished archive can be downloaded
+const EXPORT_TTL_HOURS = parseInt(process.env.EXPORT_TTL_HOURS) || 48;
+
+// Exports still unfinished after this were interrupted (e.g. by a restart)
+const STALE_AFTER_MS = 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const filePath = (fileKey) => path.join(EXPORT_DIR, fileKey);
+
+const usersIn = async (userId, field) => {
+    const user = await User.findById(userId)
+        .select(field)
+        .populate({ path: field, select: 'username', match: User.ACTIVE })
+        .lean();
+    return user[field].map(other => ({ id: other._id, username: other.username }));
+};
+
+// Reactions the user gave (likes included), newest content first
+const reactionsGiven = async (userId) => {
+    const given = [];
+    for (const [targetType, Model] of [['post', Post], ['comment', Comment]]) {
+        const docs = await Model.find({ $or: [{ 'reactions.user': userId }, { likes: userId }] })
+            .select('user content reactions createdAt')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        for (const doc of docs) {
+            const reaction = (doc.reactions || []).find(r => r.user.equals(userId));
+            given.push({
+                targetType,
+                target: doc._id,
+                author: doc.user,
+                content: doc.content,
+                type: reaction ? reaction.type : 'like'
+            });
+        }
+    }
+    return given;
+};
+
+// The files in the archive, in the order they're built
+const SECTIONS = [
+    ['profile', (userId) => User.findById(userId).select('-password').lean()],
+    ['posts', (userId) => Post.find({ user: userId }).select('-reactions').sort({ createdAt: -1 }).lean()],
+    ['comments', (userId) => Comment.find({ user: userId }).select('-reactions').sort({ createdAt: -1 }).lean()],
+    ['likes', reactionsGiven],
+    ['followers', (userId) => usersIn(userId, 'followers')],
+    ['following', (userId) => usersIn(userId, 'following')],
+    ['notifications', (userId) => Notification.find({ recipient: userId })
+        .populate('sender', 'username')
+        .sort({ createdAt: -1 })
+        .lean()]
+];
+
+const writeArchive = (fileKey, files) => new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath(fileKey));
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', () => resolve(archive.pointer()));
+    output.on('error', reject);
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    for (const [name, data] of files) {
+        archive.append(JSON.stringify(data, null, 2), { name: `${name}.json` });
+    }
+    archive.finalize();
+});
+
+// Builds the archive for a pending export, updating its progress as each
+// section is collected. Failures are recorded on the export.
+const buildExport = async (exportId) => {
+    const dataExport = await DataExport.findOneAndUpdate(
+        { _id: exportId, status: 'pending' },
+        { status: 'processing' },
+        { new: true }
+    );
+    if (!dataExport) return;
+
+    const fileKey = `${dataExport.user}-${crypto.randomBytes(16).toString('hex')}.zip`;
+
+    try {
+        const files = [];
+        for (const [index, [name, collect]] of SECTIONS.entries()) {
+            await DataExport.updateOne({ _id: exportId }, {
+                step: name,
+                progress: Math.floor(index / (SECTIONS.length + 1) * 100)
+            });
+            files.push([name, await collect(dataExport.user)]);
+        }
+
+        await DataExport.updateOne({ _id: exportId }, {
+            step: 'archive',
+            progress: Math.floor(SECTIONS.length / (SECTIONS.length + 1) * 100)
+        });
+        await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+        const size = await writeArchive(fileKey, files);
+
+        const completedAt = new Date();
+        await DataExport.updateOne({ _id: exportId }, {
+            status: 'ready',
+            progress: 100,
+            step: null,
+            fileKey,
+            size,
+            completedAt,
+            expiresAt: new Date(completedAt.getTime() + EXPORT_TTL_HOURS * 60 * 60 * 1000)
+        });
+        console.log('Data export ready:', exportId.toString());
+    } catch (error) {
+        console.error('Error building data export:', error);
+        await fs.promises.rm(filePath(fileKey), { force: true }).catch(() => {});
+        await DataExport.updateOne({ _id: exportId }, {
+            status: 'failed',
+            error: 'The export could not be created'
+        });
+    }
+};
+
+// Starts a new export for the user, or returns the one already running
+const requestExport = async (userId) => {
+    const running = await DataExport.findOne({ user: userId, status: { $in: ['pending', 'processing'] } });
+    if (running) return { dataExport: running, created: false };
+
+    const dataExport = await DataExport.create({ user: userId });
+    buildExport(dataExport._id).catch(error => console.error('Error starting data export:', error));
+    return { dataExport, created: true };
+};
+
+// Whether the export's archive can still be downloaded
+const isDownloadable = (dataExport) => dataExport.status === 'ready' &&
+    Boolean(dataExport.fileKey) && dataExport.expiresAt > new Date();
+
+// The export as returned by the API
+const describeExport = (dataExport) => ({
+    id: dataExport._id,
+    status: dataExport.status,
+    progress: dataExport.progress,
+    step: dataExport.step,
+    size: dataExport.size,
+    error: dataExport.error,
+    createdAt: dataExport.createdAt,
+    completedAt: dataExport.completedAt,
+    expiresAt: dataExport.expiresAt,
+    // A fresh short-lived link every time the export is looked at
+    downloadUrl: isDownloadable(dataExport)
+        ? `/api/users/me/export/${dataExport._id}/download?token=${signDownloadToken(dataExport._id, dataExport.user)}`
+        : null
+});
+
+const removeFile = (fileKey) => fileKey &&
+    fs.promises.rm(filePath(fileKey), { force: true })
+        .catch(error => console.error('Error removing export file:', fileKey, error));
+
+// Deletes expired archives and fails exports that never finished
+const cleanUpExports = async () => {
+    const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } });
+    for (const dataExport of expired) {
+        await removeFile(dataExport.fileKey);
+        await DataExport.updateOne({ _id: dataExport._id }, { status: 'expired', fileKey: null });
+    }
+
+    await DataExport.updateMany(
+        {
+            status: { $in: ['pending', 'processing'] },
+            updatedAt: { $lte: new Date(Date.now() - STALE_AFTER_MS) }
+        },
+        { status: 'failed', error: 'The export was interrupted; please request a new one' }
+    );
+};
+
+// Removes all of a user's exports and their archives
+const removeExports = async (userId) => {
+    const exports = await DataExport.find({ user: userId }).select('fileKey');
+    for (const dataExport of exports) {
+        await removeFile(dataExport.fileKey);
+    }
+    await DataExport.deleteMany({ user: userId });
+};
+
+// Runs the cleanup now and then hourly in the background
+const startExportCleanupJob = () => {
+    const run = () => cleanUpExports()
+        .catch(error => console.error('Data export cleanup failed:', error));
+
+    run();
+    const timer = setInterval(run, CLEANUP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    EXPORT_TTL_HOURS,
+    filePath,
+    requestExport,
+    isDownloadable,
+    describeExport,
+    removeExports,
+    startExportCleanupJob
+};
@@ -0,0 +1,243 @@
+const ActionToken = require('../models/ActionToken');
+const Bookmark = require('../models/Bookmark');
+const BookmarkCollection = require('../models/BookmarkCollection');
+const Comment = require('../models/Comment');
+const Conversation = require('../models/Conversation');
+const Media = require('../models/Media');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const Post = require('../models/Post');
+const RefreshToken = require('../models/RefreshToken');
+const Report = require('../models/Report');
+const Revision = require('../models/Revision');
+const User = require('../models/User');
+const { getStorage } = require('./storage');
+const { removeExports } = require('./dataExport');
+const { runInTransaction } = require('../utils/transactions');
+
+// Every deletion goes through here so dependent records are cleaned up the
+// same way whichever route removed the content. The `purge*` helpers take
+// the transaction session (or null) and must pass it to every query.
+
+const idSet = (ids) => new Set(ids.map(id => id.toString()));
+
+// Deletes comments and every reply below them, with their notifications
+// and edit history.
+// Keeps `Post.comments` and parents' `replyCount` in step.
+const purgeComments = async (commentIds, session) => {
+    if (commentIds.length === 0) return [];
+
+    const roots = await Comment.find({ _id: { $in: commentIds } })
+        .select('_id post parentComment').session(session);
+
+    // Collect the whole reply thread below each comment
+    const removedIds = roots.map(comment => comment._id);
+    let frontier = removedIds;
+    while (frontier.length > 0) {
+        const replies = await Comment.find({ parentComment: { $in: frontier } })
+            .select('_id').session(session);
+        frontier = replies.map(reply => reply._id);
+        removedIds.push(...frontier);
+    }
+    const removed = idSet(removedIds);
+
+    for (const comment of roots) {
+        if (comment.parentComment && !removed.has(comment.parentComment.toString())) {
+            await Comment.updateOne(
+                { _id: comment.parentComment, replyCount: { $gt: 0 } },
+                { $inc: { replyCount: -1 } },
+                { session }
+            );
+        }
+    }
+
+    await Post.updateMany(
+        { _id: { $in: [...new Set(roots.map(comment => comment.post.toString()))] } },
+        { $pull: { comments: { $in: removedIds } } },
+        { session }
+    );
+    await Notification.deleteMany({ comment: { $in: removedIds } }, { session });
+    await Revision.deleteMany({ targetType: 'comment', target: { $in: removedIds } }, { session });
+    await Comment.deleteMany({ _id: { $in: removedIds } }, { session });
+
+    return removedIds;
+};
+
+// Deletes posts with their reposts, comments, notifications, bookmarks and
+// edit history.
+// Quotes of them are tombstoned, and counts on the posts they reposted or
+// quoted are decremented.
+const purgePosts = async (postIds, session) => {
+    if (postIds.length === 0) return [];
+
+    const repostIds = await Post.find({ repostOf: { $in: postIds }, _id: { $nin: postIds } })
+        .distinct('_id').session(session);
+    const removedIds = [...postIds, ...repostIds];
+    const removed = idSet(removedIds);
+
+    const posts = await Post.find({ _id: { $in: removedIds } })
+        .select('_id repostOf quoteOf').session(session);
+    for (const post of posts) {
+        if (post.repostOf && !removed.has(post.repostOf.toString())) {
+            await Post.updateOne(
+                { _id: post.repostOf, repostCount: { $gt: 0 } },
+                { $inc: { repostCount: -1 } },
+                { session }
+            );
+        }
+        if (post.quoteOf && !removed.has(post.quoteOf.toString())) {
+            await Post.updateOne(
+                { _id: post.quoteOf, quoteCount: { $gt: 0 } },
+                { $inc: { quoteCount: -1 } },
+                { session }
+            );
+        }
+    }
+
+    const commentIds = await Comment.find({ post: { $in: removedIds } }).distinct('_id').session(session);
+    await Notification.deleteMany({
+        $or: [
+            { post: { $in: removedIds } },
+            { quote: { $in: removedIds } },
+            { comment: { $in: commentIds } }
+        ]
+    }, { session });
+    await Revision.deleteMany({
+        $or: [
+            { targetType: 'post', target: { $in: removedIds } },
+            { targetType: 'comment', target: { $in: commentIds } }
+        ]
+    }, { session });
+    await Comment.deleteMany({ _id: { $in: commentIds } }, { session });
+    await Bookmark.deleteMany({ post: { $in: removedIds } }, { session });
+    await Post.updateMany(
+        { quoteOf: { $in: removedIds }, _id: { $nin: removedIds } },
+        { $set: { quotedPostDeleted: true } },
+        { session }
+    );
+    await Post.deleteMany({ _id: { $in: removedIds } }, { session });
+
+    return removedIds;
+};
+
+// Takes a user's reactions (and legacy likes) off posts and comments
+const purgeReactions = async (userId, session) => {
+    for (const Model of [Post, Comment]) {
+        for (const type of Model.REACTION_TYPES) {
+            await Model.updateMany(
+                { reactions: { $elemMatch: { user: userId, type } } },
+                {
+                    $pull: { reactions: { user: userId }, likes: userId },
+                    $inc: { [`reactionCounts.${type}`]: -1 }
+                },
+                { session }
+            );
+        }
+        await Model.updateMany({ likes: userId }, { $pull: { likes: userId } }, { session });
+    }
+};
+
+// Removes a user from their conversations. One-to-one conversations are
+// deleted; in groups their messages go and the rest carry on, unless fewer
+// than two people are left.
+const purgeConversations = async (userId, session) => {
+    const conversations = await Conversation.find({ 'participants.user': userId }).session(session);
+
+    for (const conversation of conversations) {
+        if (!conversation.isGroup || conversation.participants.length <= 2) {
+            await Message.deleteMany({ conversation: conversation._id }, { session });
+            await Notification.deleteMany({ conversation: conversation._id }, { session });
+            await Conversation.deleteOne({ _id: conversation._id }, { session });
+            continue;
+        }
+
+        await Message.deleteMany({ conversation: conversation._id, sender: userId }, { session });
+        const [latest] = await Message.find({ conversation: conversation._id })
+            .sort({ createdAt: -1, _id: -1 }).limit(1).session(session);
+        await Conversation.updateOne({ _id: conversation._id }, {
+            $pull: { participants: { user: userId } },
+            ...(latest
+                ? { $set: { lastMessage: { message: latest._id, sender: latest.sender, content: latest.content, createdAt: latest.createdAt } } }
+                : { $unset: { lastMessage: 1 } })
+        }, { session });
+    }
+};
+
+// Deletes a user and everything that hangs off their account. Moderation
+// records (resolved reports, the audit log) are kept.
+const purgeUser = async (userId, session) => {
+    const postIds = await Post.find({ user: userId }).distinct('_id').session(session);
+    await purgePosts(postIds, session);
+
+    const commentIds = await Comment.find({ user: userId }).distinct('_id').session(session);
+    await purgeComments(commentIds, session);
+
+    await purgeReactions(userId, session);
+    await purgeConversations(userId, session);
+
+    await Notification.deleteMany({ $or: [{ recipient: userId }, { sender: userId }] }, { session });
+    await User.updateMany(
+        {
+            $or: [
+                { followers: userId },
+                { following: userId },
+                { followRequests: userId },
+                { blocked: userId },
+                { muted: userId }
+            ]
+        },
+        {
+            $pull: {
+                followers: userId,
+                following: userId,
+                followRequests: userId,
+                blocked: userId,
+                muted: userId
+            }
+        },
+        { session }
+    );
+
+    await Bookmark.deleteMany({ user: userId }, { session });
+    await BookmarkCollection.deleteMany({ user: userId }, { session });
+    await RefreshToken.deleteMany({ user: userId }, { session });
+    await ActionToken.deleteMany({ user: userId }, { session });
+    await Report.deleteMany({ reporter: userId, status: { $in: ['open', 'claimed'] } }, { session });
+
+    const media = await Media.find({ owner: userId }).session(session);
+    await Media.deleteMany({ owner: userId }, { session });
+    await User.deleteOne({ _id: userId }, { session });
+
+    // Storage keys to remove once the transaction has committed
+    return media.flatMap(item => [item.original, ...item.thumbnails].map(variant => variant.key));
+};
+
+// Removing files can't be rolled back, so it happens after the commit; a
+// failure only leaves unreferenced files behind
+const removeFiles = async (keys) => {
+    const storage = getStorage();
+    for (const key of keys) {
+        await storage.remove(key)
+            .catch(error => console.error('Error removing stored file:', key, error));
+    }
+};
+
+const deletePost = (postId) => runInTransaction(session => purgePosts([postId], session));
+
+const deleteComment = (commentId) => runInTransaction(session => purgeComments([commentId], session));
+
+const deleteUser = async (userId) => {
+    const keys = await runInTransaction(session => purgeUser(userId, session));
+    await removeFiles(keys);
+    await removeExports(userId);
+};
+
+module.exports = {
+    purgePosts,
+    purgeComments,
+    purgeUser,
+    removeFiles,
+    deletePost,
+    deleteComment,
+    deleteUser
+};
@@ -0,0 +1,17 @@
+const Revision = require('../models/Revision');
+
+const editWindowClosedResponse = (Model) => ({
+    success: false,
+    message: `Content can only be edited within ${Model.EDIT_WINDOW_MINUTES} minutes of posting`,
+    error: 'EDIT_WINDOW_CLOSED'
+});
+
+// A post's or comment's earlier versions, newest first
+const listRevisions = (targetType, targetId) => Revision.find({ targetType, target: targetId })
+    .select('-targetType -target')
+    .sort({ replacedAt: -1 });
+
+module.exports = {
+    editWindowClosedResponse,
+    listRevisions
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+// A transport is any object with `send({ to, subject, text })` returning a
+// promise. Production deployments plug in their own with setTransport();
+// the built-in ones are meant for development and tests.
+const transports = {
+    // Prints emails to the server log
+    console: {
+        send: async ({ to, subject, text }) => {
+            console.log('============ OUTGOING EMAIL ============');
+            console.log('To:', to);
+            console.log('Subject:', subject);
+            console.log(text);
+            console.log('========================================');
+        }
+    },
+
+    // Writes each email as a JSON file into MAIL_DIR
+    file: {
+        send: async (message) => {
+            const dir = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail');
+            await fs.promises.mkdir(dir, { recursive: true });
+
+            const name = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+            await fs.promises.writeFile(
+                path.join(dir, name),
+                JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+            );
+        }
+    }
+};
+
+// Stands in when production has no transport configured: falling back to
+// the console would write reset and verification tokens to the server log
+const unconfigured = {
+    send: async () => {
+        throw new Error('No mail transport configured; set MAIL_TRANSPORT or call setTransport()');
+    }
+};
+
+let transport = transports[process.env.MAIL_TRANSPORT] ||
+    (process.env.NODE_ENV === 'production' ? unconfigured : transports.console);
+
+const setTransport = (custom) => {
+    transport = custom;
+};
+
+const sendMail = (message) => transport.send({
+    from: process.env.MAIL_FROM || 'no-reply@devscovery.local',
+    ...message
+});
+
+const appUrl = () => process.env.APP_URL || 'http://localhost:3000';
+
+const sendPasswordResetEmail = (user, token) => sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\n` +
+        `Use the link below to choose a new password:\n\n` +
+        `${appUrl()}/reset-password?token=${token}\n\n` +
+        `If you didn't ask for this, you can ignore this email.`
+});
+
+const sendVerificationEmail = (user, token) => sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\n` +
+        `Confirm your email address by opening the link below:\n\n` +
+        `${appUrl()}/verify-email?token=${token}`
+});
+
+module.exports = {
+    transports,
+    setTransport,
+    sendMail,
+    sendPasswordResetEmail,
+    sendVerificationEmail
+};
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Media = require('../models/Media');
+const { getStorage } = require('./storage');
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.MEDIA_MAX_BYTES) || 5 * 1024 * 1024;
+
+// Allowed input types, keyed by the format sharp detects from the file bytes
+const ALLOWED_FORMATS = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp'
+};
+
+const ALLOWED_MIME_TYPES = Object.values(ALLOWED_FORMATS);
+
+// Longest edge of the stored original
+const MAX_DIMENSION = 2048;
+
+const THUMBNAIL_SIZES = {
+    small: 150,
+    medium: 600
+};
+
+const EXTENSIONS = {
+    jpeg: 'jpg',
+    png: 'png',
+    webp: 'webp'
+};
+
+// Re-encodes an image. sharp drops EXIF and other metadata unless asked to
+// keep it; rotate() first bakes the EXIF orientation into the pixels.
+const render = (buffer, format, size) => sharp(buffer)
+    .rotate()
+    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+    .toFormat(format)
+    .toBuffer({ resolveWithObject: true });
+
+// Validates, processes and stores an uploaded image. Returns the saved Media
+// document, or { error } with INVALID_MEDIA_TYPE when the bytes aren't an
+// allowed image regardless of the declared MIME type.
+const createMedia = async (ownerId, file) => {
+    let metadata;
+    try {
+        metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+        return { error: 'INVALID_MEDIA_TYPE' };
+    }
+
+    const { format } = metadata;
+    if (!ALLOWED_FORMATS[format]) {
+        return { error: 'INVALID_MEDIA_TYPE' };
+    }
+
+    const storage = getStorage();
+    const mediaId = new mongoose.Types.ObjectId();
+    const store = async (name, size) => {
+        const { data, info } = await render(file.buffer, format, size);
+        const key = `${ownerId}/${mediaId}/${name}.${EXTENSIONS[format]}`;
+        const url = await storage.save(key, data, ALLOWED_FORMATS[format]);
+        return { name, key, url, width: info.width, height: info.height, size: info.size };
+    };
+
+    const original = await store('original', MAX_DIMENSION);
+    const thumbnails = [];
+    for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+        thumbnails.push(await store(name, size));
+    }
+
+    return Media.create({
+        _id: mediaId,
+        owner: ownerId,
+        mimeType: ALLOWED_FORMATS[format],
+        original,
+        thumbnails
+    });
+};
+
+// Loads media by id and checks they all belong to `ownerId`.
+// Returns the documents in the order requested, or null if any is missing.
+const findOwnedMedia = async (ownerId, ids) => {
+    if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) return null;
+
+    const media = await Media.find({ _id: { $in: ids }, owner: ownerId });
+    const byId = new Map(media.map(item => [item._id.toString(), item]));
+    const ordered = ids.map(id => byId.get(id.toString()));
+
+    return ordered.every(Boolean) ? ordered : null;
+};
+
+const getThumbnail = (media, name) =>
+    media.thumbnails.find(thumbnail => thumbnail.name === name) || media.original;
+
+const MAX_ATTACHMENTS = 4;
+
+// Turns a client-supplied [{ id, altText }] list into Post.media entries.
+// Returns null if the list is malformed or references media the user
+// doesn't own.
+const buildAttachments = async (ownerId, items) => {
+    if (!Array.isArray(items) || items.length > MAX_ATTACHMENTS) return null;
+    if (!items.every(item => item && typeof item.id === 'string')) return null;
+
+    const media = await findOwnedMedia(ownerId, items.map(item => item.id));
+    if (!media) return null;
+
+    return media.map((item, i) => ({
+        media: item._id,
+        url: item.original.url,
+        thumbnailUrl: getThumbnail(item, 'medium').url,
+        width: item.original.width,
+        height: item.original.height,
+        altText: typeof items[i].altText === 'string' ? items[i].altText : ''
+    }));
+};
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    ALLOWED_MIME_TYPES,
+    createMedia,
+    MAX_ATTACHMENTS,
+    findOwnedMedia,
+    getThumbnail,
+    buildAttachments
+};
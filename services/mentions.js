@@ -0,0 +1,31 @@
+const User = require('../models/User');
+const { excerpt, notify } = require('./notifications');
+const { canViewUser, isBlockedBetween } = require('./visibility');
+
+// Sends a `mention` notification to every user newly mentioned by the last
+// save of `doc` (a post or comment). `postAuthor` decides who can see the
+// content: mentioned users who couldn't open the post aren't notified.
+const notifyMentions = async (doc, { sender, post, postAuthor }) => {
+    const ids = (doc.$locals.newMentions || [])
+        .filter(id => id.toString() !== sender._id.toString());
+    if (ids.length === 0) return;
+
+    const users = await User.find({ _id: { $in: ids }, ...User.ACTIVE }).select('blocked');
+
+    for (const user of users) {
+        if (isBlockedBetween(sender, user) || !canViewUser(user, postAuthor)) continue;
+
+        await notify({
+            recipient: user._id,
+            sender: sender._id,
+            post: post._id,
+            comment: doc._id.equals(post._id) ? undefined : doc._id,
+            type: 'mention',
+            content: `${sender.username} mentioned you: "${excerpt(doc.content)}"`
+        });
+    }
+};
+
+module.exports = {
+    notifyMentions
+};
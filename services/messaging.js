@@ -0,0 +1,80 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { excerpt, notify } = require('./notifications');
+const { canViewUser, isBlockedBetween } = require('./visibility');
+
+const includesId = (list, id) => (list || []).some(item => item.toString() === id.toString());
+
+// Whether `sender` may start a conversation with `recipient`. Both must be
+// user documents; the recipient needs `blocked`, `followers`, `following`,
+// `isPrivate` and `messagePolicy` loaded. People the recipient follows can
+// always message them; otherwise `messagePolicy` decides, and private
+// accounts only hear from approved followers.
+const canMessage = (sender, recipient) => {
+    if (isBlockedBetween(sender, recipient)) return false;
+    if (recipient.messagePolicy === 'nobody') return false;
+    if (includesId(recipient.following, sender._id)) return true;
+    if (recipient.messagePolicy === 'following') return false;
+    return canViewUser(sender, recipient);
+};
+
+// Messages in the conversation the participant hasn't read yet
+const unreadCount = (conversation, userId) => {
+    const participant = conversation.participantFor(userId);
+    return Message.countDocuments({
+        conversation: conversation._id,
+        sender: { $ne: userId },
+        createdAt: { $gt: participant.lastReadAt }
+    });
+};
+
+// Sends a `message` notification to every other participant
+const notifyParticipants = async (conversation, message, sender) => {
+    for (const participant of conversation.participants) {
+        const recipientId = participant.user._id || participant.user;
+        if (recipientId.toString() === sender._id.toString()) continue;
+
+        await notify({
+            recipient: recipientId,
+            sender: sender._id,
+            conversation: conversation._id,
+            type: 'message',
+            content: `${sender.username}: "${excerpt(message.content)}"`
+        });
+    }
+};
+
+// Adds a message to the conversation, moves it to the top of everyone's list
+// and marks it read for the sender
+const sendMessage = async (conversation, sender, content) => {
+    const message = await Message.create({
+        conversation: conversation._id,
+        sender: sender._id,
+        content
+    });
+
+    await Conversation.updateOne(
+        { _id: conversation._id, 'participants.user': sender._id },
+        {
+            $set: {
+                lastMessage: {
+                    message: message._id,
+                    sender: sender._id,
+                    content: message.content,
+                    createdAt: message.createdAt
+                },
+                lastMessageAt: message.createdAt,
+                'participants.$.lastReadAt': message.createdAt
+            }
+        }
+    );
+
+    await notifyParticipants(conversation, message, sender);
+    return message;
+};
+
+module.exports = {
+    canMessage,
+    unreadCount,
+    sendMessage
+};
@@ -0,0 +1,130 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const { notify } = require('./notifications');
+const { revokeAllForUser } = require('./tokenService');
+const { outranks } = require('../utils/permissions');
+
+const DEFAULT_SUSPENSION_DAYS = parseInt(process.env.DEFAULT_SUSPENSION_DAYS) || 7;
+
+const MODELS = {
+    post: Post,
+    comment: Comment,
+    user: User
+};
+
+// Which resolution actions make sense for each kind of target
+const ACTIONS_BY_TYPE = {
+    post: ['hide', 'delete', 'warn', 'suspend', 'dismiss'],
+    comment: ['hide', 'delete', 'warn', 'suspend', 'dismiss'],
+    user: ['warn', 'suspend', 'dismiss']
+};
+
+// Loads the reported document and the id of the user responsible for it.
+// Returns null if it no longer exists.
+const loadTarget = async (targetType, targetId) => {
+    const doc = await MODELS[targetType].findById(targetId);
+    if (!doc) return null;
+
+    return {
+        doc,
+        ownerId: targetType === 'user' ? doc._id : doc.user
+    };
+};
+
+const warnUser = async (userId, moderator, note) => {
+    await User.updateOne(
+        { _id: userId },
+        { $push: { warnings: { reason: note, issuedBy: moderator._id } } }
+    );
+
+    await notify({
+        recipient: userId,
+        sender: moderator._id,
+        type: 'warning',
+        content: `You received a warning from the moderators${note ? `: "${note}"` : ''}`
+    });
+};
+
+const suspendUser = async (userId, note, days) => {
+    await User.updateOne({ _id: userId }, {
+        suspendedUntil: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+        suspensionReason: note || ''
+    });
+    // End existing sessions; the auth middleware rejects new requests anyway
+    await revokeAllForUser(userId);
+};
+
+// Actions taken against the target's owner rather than the content
+const OWNER_ACTIONS = ['warn', 'suspend'];
+
+// Applies a moderator's decision to the report's target and resolves every
+// pending report about the same target. Returns the number of reports
+// resolved, or { error } when the action doesn't fit the target
+// (INVALID_ACTION) or the owner's role isn't below the moderator's
+// (INSUFFICIENT_ROLE).
+const resolveReport = async (report, { action, note = '', suspendDays = DEFAULT_SUSPENSION_DAYS, moderator }) => {
+    if (!ACTIONS_BY_TYPE[report.targetType].includes(action)) {
+        return { error: 'INVALID_ACTION' };
+    }
+
+    const target = await loadTarget(report.targetType, report.target);
+
+    if (target && OWNER_ACTIONS.includes(action)) {
+        const owner = await User.findById(target.ownerId).select('role');
+        if (owner && !outranks(moderator, owner)) {
+            return { error: 'INSUFFICIENT_ROLE' };
+        }
+    }
+
+    if (target) {
+        switch (action) {
+            case 'hide':
+                target.doc.moderationStatus = 'hidden';
+                await target.doc.save();
+                break;
+            case 'delete':
+                // Removed content stays in the database for the record but is
+                // treated as deleted by every read route
+                target.doc.moderationStatus = 'removed';
+                await target.doc.save();
+                break;
+            case 'warn':
+                await warnUser(target.ownerId, moderator, note);
+                break;
+            case 'suspend':
+                await suspendUser(target.ownerId, note, suspendDays);
+                break;
+            default:
+                break;
+        }
+    }
+
+    const result = await Report.updateMany(
+        {
+            targetType: report.targetType,
+            target: report.target,
+            status: { $in: ['open', 'claimed'] }
+        },
+        {
+            status: 'resolved',
+            resolution: {
+                action,
+                note,
+                resolvedBy: moderator._id,
+                resolvedAt: new Date()
+            }
+        }
+    );
+
+    return { resolvedCount: result.modifiedCount };
+};
+
+module.exports = {
+    ACTIONS_BY_TYPE,
+    DEFAULT_SUSPENSION_DAYS,
+    loadTarget,
+    suspendUser,
+    resolveReport
+};
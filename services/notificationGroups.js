@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { encodeCursor, olderThan, newerThan } = require('../utils/pagination');
+
+// Notifications of these types about the same post (or comment, or
+// conversation) are grouped when they fall in the same time window. Other
+// types, which carry content worth reading on its own, stay single.
+// Comments group by post alone, and quotes by the quoted post.
+const GROUPED_TYPES = [
+    'like',
+    'reaction',
+    'comment',
+    'repost',
+    'quote',
+    'comment_like',
+    'comment_reaction',
+    'follow',
+    'message'
+];
+
+const WINDOW_MS = (parseFloat(process.env.NOTIFICATION_GROUP_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+
+// Senders shown with each group
+const SAMPLE_SENDERS = 3;
+
+const VERBS = {
+    like: 'liked your post',
+    reaction: 'reacted to your post',
+    comment: 'commented on your post',
+    repost: 'reposted your post',
+    quote: 'quoted your post',
+    comment_like: 'liked your comment',
+    comment_reaction: 'reacted to your comment',
+    follow: 'followed you',
+    message: 'sent you messages'
+};
+
+// Group ids are opaque to clients: single notifications keep their own id,
+// groups get a base64url-encoded { type, post, comment, conversation,
+// window start and end }
+const encodeGroupId = (key) => Buffer.from(JSON.stringify({
+    t: key.type,
+    p: key.post || null,
+    c: key.comment || null,
+    v: key.conversation || null,
+    s: key.start,
+    e: key.start + WINDOW_MS
+})).toString('base64url');
+
+const isObjectId = (value) => value === null || mongoose.Types.ObjectId.isValid(value);
+
+// Returns a filter matching every notification in the group `groupId` for
+// the recipient, or null if the id is malformed
+const groupFilter = (recipientId, groupId) => {
+    if (mongoose.Types.ObjectId.isValid(groupId) && String(groupId).length === 24) {
+        return { recipient: recipientId, _id: groupId };
+    }
+
+    try {
+        const { t, p, c, v, s, e } = JSON.parse(Buffer.from(String(groupId), 'base64url').toString('utf8'));
+        if (!GROUPED_TYPES.includes(t) || ![p, c, v].every(isObjectId) ||
+            !Number.isFinite(s) || !Number.isFinite(e)) {
+            return null;
+        }
+
+        return {
+            recipient: recipientId,
+            type: t,
+            post: p,
+            // Comment groups span every comment on the post
+            ...(t === 'comment' ? {} : { comment: c }),
+            conversation: v,
+            createdAt: { $gte: new Date(s), $lt: new Date(e) }
+        };
+    } catch (error) {
+        return null;
+    }
+};
+
+const summarize = (group) => {
+    if (!group.grouped) return group.content;
+
+    const [first, second] = group.senders;
+    const name = (sender) => (sender ? sender.username : 'someone');
+    const others = group.senderCount - 1;
+
+    let who = name(first);
+    if (others === 1) who = `${name(first)} and ${name(second)}`;
+    if (others > 1) who = `${name(first)} and ${others} others`;
+
+    return `${who} ${VERBS[group.type]}`;
+};
+
+const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+const OLDEST_FIRST = { createdAt: 1, _id: 1 };
+
+const windowStart = (date) => Math.floor(new Date(date).getTime() / WINDOW_MS) * WINDOW_MS;
+
+// `filter` limited to notifications in [from, to); either bound may be null
+const inRange = (filter, from, to) => ({
+    $and: [
+        filter,
+        from === null ? {} : { createdAt: { $gte: new Date(from) } },
+        to === null ? {} : { createdAt: { $lt: new Date(to) } }
+    ]
+});
+
+// Folds the notifications in [from, to) into groups and returns those whose
+// newest notification matches `match`, in `sort` order. Groups never span
+// windows, so a range of whole windows can be grouped on its own.
+const groupRange = (filter, from, to, match, sort) => Notification.aggregate([
+    { $match: inRange(filter, from, to) },
+    { $sort: NEWEST_FIRST },
+    {
+        $group: {
+            _id: {
+                $cond: [
+                    { $in: ['$type', GROUPED_TYPES] },
+                    {
+                        type: '$type',
+                        post: '$post',
+                        comment: { $cond: [{ $eq: ['$type', 'comment'] }, null, '$comment'] },
+                        conversation: '$conversation',
+                        start: {
+                            $multiply: [
+                                { $floor: { $divide: [{ $toLong: '$createdAt' }, WINDOW_MS] } },
+                                WINDOW_MS
+                            ]
+                        }
+                    },
+                    { single: '$_id' }
+                ]
+            },
+            latestAt: { $first: '$createdAt' },
+            latestId: { $first: '$_id' },
+            firstAt: { $last: '$createdAt' },
+            type: { $first: '$type' },
+            post: { $first: '$post' },
+            comment: { $first: '$comment' },
+            quote: { $first: '$quote' },
+            conversation: { $first: '$conversation' },
+            content: { $first: '$content' },
+            senders: { $push: '$sender' },
+            count: { $sum: 1 },
+            unreadCount: { $sum: { $cond: ['$read', 0, 1] } }
+        }
+    },
+    {
+        $project: {
+            key: '$_id',
+            _id: '$latestId',
+            createdAt: '$latestAt',
+            firstAt: 1,
+            type: 1,
+            post: 1,
+            comment: 1,
+            quote: 1,
+            conversation: 1,
+            content: 1,
+            senders: 1,
+            count: 1,
+            unreadCount: 1
+        }
+    },
+    { $match: match },
+    { $sort: sort }
+]);
+
+// One page of `filter`'s notifications folded into groups, newest activity
+// first. Takes the same pagination as utils/pagination's paginate; cursors
+// point at each group's newest notification.
+//
+// Only the windows the page can reach are grouped, not the whole history:
+// starting at the cursor's window, each round groups the windows up to the
+// notification that is as many steps away as groups are still missing. When
+// some of those notifications share a group, the next round goes further.
+const listGroups = async (filter, pagination) => {
+    const { limit, direction, cursor, page } = pagination;
+    const newestFirst = direction !== 'after';
+    const sort = newestFirst ? NEWEST_FIRST : OLDEST_FIRST;
+    const skip = direction ? 0 : (page - 1) * limit;
+    const wanted = skip + limit + 1;
+
+    let match = {};
+    if (direction === 'after') match = newerThan(cursor);
+    if (direction === 'before') match = olderThan(cursor);
+
+    // Window edge the next round starts from, whole windows at a time so the
+    // cursor's own window is grouped completely
+    let edge = null;
+    if (cursor) edge = windowStart(cursor.createdAt) + (newestFirst ? WINDOW_MS : 0);
+
+    let rows = [];
+    while (rows.length < wanted) {
+        const [from, to] = newestFirst ? [null, edge] : [edge, null];
+        const furthest = await Notification.findOne({ $and: [inRange(filter, from, to), match] })
+            .sort(sort)
+            .skip(wanted - rows.length - 1)
+            .select('createdAt');
+
+        // Without one, everything left fits in this round
+        const next = furthest
+            ? windowStart(furthest.createdAt) + (newestFirst ? 0 : WINDOW_MS)
+            : null;
+        const range = newestFirst ? [next, edge] : [edge, next];
+        rows.push(...await groupRange(filter, range[0], range[1], match, sort));
+
+        if (next === null) break;
+        edge = next;
+    }
+
+    rows = rows.slice(skip, wanted);
+    const hasMore = rows.length > limit;
+    if (hasMore) rows.pop();
+    if (direction === 'after') rows.reverse();
+
+    const groups = rows.map(row => {
+        // Distinct senders, most recent first
+        const senders = [...new Map(row.senders.map(id => [id.toString(), id])).values()];
+        // A group of one reads like the notification itself
+        const grouped = !row.key.single && row.count > 1;
+
+        return {
+            _id: grouped ? encodeGroupId(row.key) : row._id.toString(),
+            grouped,
+            type: row.type,
+            post: row.post,
+            comment: row.comment,
+            quote: row.quote,
+            conversation: row.conversation,
+            senders: senders.slice(0, SAMPLE_SENDERS),
+            senderCount: senders.length,
+            count: row.count,
+            unreadCount: row.unreadCount,
+            read: row.unreadCount === 0,
+            content: row.content,
+            latestNotification: row._id,
+            createdAt: row.createdAt,
+            firstAt: row.firstAt
+        };
+    });
+
+    await Notification.populate(groups, [
+        { path: 'senders', model: 'User', select: 'username profilePicture' },
+        { path: 'post', model: 'Post', select: 'content' }
+    ]);
+    groups.forEach(group => {
+        group.content = summarize(group);
+    });
+
+    const hasOlder = direction === 'after' ? groups.length > 0 : hasMore;
+    const cursorOf = (group) => ({ createdAt: group.createdAt, _id: group.latestNotification });
+
+    return {
+        groups,
+        nextCursor: hasOlder ? encodeCursor(cursorOf(groups[groups.length - 1])) : null,
+        prevCursor: groups.length > 0 ? encodeCursor(cursorOf(groups[0])) : null,
+        hasMore
+    };
+};
+
+module.exports = {
+    GROUPED_TYPES,
+    groupFilter,
+    listGroups
+};
@@ -0,0 +1,93 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { encodeCursor } = require('../utils/pagination');
+
+// Open Server-Sent Events connections, keyed by recipient user id.
+// Connections live in this process only; each instance pushes to the
+// clients connected to it.
+const connections = new Map();
+
+const HEARTBEAT_INTERVAL = 25000;
+
+const write = (res, event, data, id) => {
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+const sendNotification = (res, notification) => {
+    write(res, 'notification', notification, encodeCursor(notification));
+};
+
+// Registers an SSE response for a user and returns a function that removes it
+const subscribe = (userId, res) => {
+    const key = userId.toString();
+    if (!connections.has(key)) connections.set(key, new Set());
+    connections.get(key).add(res);
+
+    // Keep proxies from closing idle connections
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+    return () => {
+        clearInterval(heartbeat);
+        const set = connections.get(key);
+        if (!set) return;
+        set.delete(res);
+        if (set.size === 0) connections.delete(key);
+    };
+};
+
+const isConnected = (userId) => connections.has(userId.toString());
+
+const broadcast = (userId, fn) => {
+    const set = connections.get(userId.toString());
+    if (!set) return;
+    for (const res of set) fn(res);
+};
+
+// Unread notifications, not counting ones from users the recipient blocked or muted
+const getUnreadCount = async (userId) => {
+    const user = await User.findById(userId).select('blocked muted');
+    if (!user) return 0;
+
+    return Notification.countDocuments({
+        recipient: userId,
+        read: false,
+        sender: { $nin: [...user.blocked, ...user.muted] }
+    });
+};
+
+// Pushes the current unread count to every open connection of a user
+const publishUnreadCount = async (userId) => {
+    if (!isConnected(userId)) return;
+    const count = await getUnreadCount(userId);
+    broadcast(userId, res => write(res, 'unread-count', { count }));
+};
+
+// Pushes a freshly created notification (and the new unread count) to its recipient
+const publishNotification = async (notification) => {
+    if (!isConnected(notification.recipient)) return;
+
+    const silenced = await User.exists({
+        _id: notification.recipient,
+        $or: [{ blocked: notification.sender }, { muted: notification.sender }]
+    });
+    if (silenced) return;
+
+    await notification.populate([
+        { path: 'sender', select: 'username profilePicture' },
+        { path: 'post', select: 'content' }
+    ]);
+
+    broadcast(notification.recipient, res => sendNotification(res, notification));
+    await publishUnreadCount(notification.recipient);
+};
+
+module.exports = {
+    write,
+    sendNotification,
+    subscribe,
+    getUnreadCount,
+    publishUnreadCount,
+    publishNotification
+};
@@ -0,0 +1,54 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const notificationStream = require('./notificationStream');
+
+// Moderation notices can't be turned off
+const MANDATORY_TYPES = ['warning'];
+
+// Types users can switch on and off in their preferences
+const CONFIGURABLE_TYPES = Notification.TYPES.filter(type => !MANDATORY_TYPES.includes(type));
+
+const excerpt = (text) => `${text.substring(0, 30)}${text.length > 30 ? '...' : ''}`;
+
+// Every type with whether it's on for the user
+const preferencesFor = (user) => Object.fromEntries(CONFIGURABLE_TYPES.map(type => [
+    type,
+    user.notificationPreferences.get(type) !== false
+]));
+
+// Creates a notification and pushes it to the recipient's open streams.
+// Every notification goes through here. Nothing is created when the sender
+// is the recipient or the recipient turned the type off; resolves to the
+// notification or null.
+const notify = async ({ recipient, sender, type, post, comment, quote, conversation, content }) => {
+    const recipientId = recipient._id || recipient;
+    const senderId = sender._id || sender;
+    if (recipientId.toString() === senderId.toString()) return null;
+
+    if (!MANDATORY_TYPES.includes(type)) {
+        const user = await User.findById(recipientId).select('notificationPreferences');
+        if (!user || user.notificationPreferences.get(type) === false) return null;
+    }
+
+    const notification = await Notification.create({
+        recipient: recipientId,
+        sender: senderId,
+        type,
+        post,
+        comment,
+        quote,
+        conversation,
+        content
+    });
+
+    notificationStream.publishNotification(notification)
+        .catch(error => console.error('Error pushing notification:', error));
+    return notification;
+};
+
+module.exports = {
+    CONFIGURABLE_TYPES,
+    excerpt,
+    preferencesFor,
+    notify
+};
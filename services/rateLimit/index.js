@@ -0,0 +1,23 @@
+const createMemoryStore = require('./memoryStore');
+
+// A rate limit store is any object with:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//     counts a hit in the key's current window, starting a new window of
+//     `windowMs` when none is open, and returns the hits so far and when
+//     the window ends
+//   decrement(key) -> Promise   takes back a hit (used for skipped requests)
+//   reset(key) -> Promise       clears the key
+// Memory is the default; call setStore() at startup to share counters
+// between instances (e.g. a Redis-backed store).
+let store = createMemoryStore();
+
+const getStore = () => store;
+
+const setStore = (custom) => {
+    store = custom;
+};
+
+module.exports = {
+    getStore,
+    setStore
+};
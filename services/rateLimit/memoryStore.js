@@ -0,0 +1,38 @@
+// Fixed-window counters kept in process memory. Fine for a single
+// instance; counters are lost on restart and not shared between instances.
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+    const windows = new Map();
+
+    // Drop expired windows so idle keys don't pile up
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of windows) {
+            if (entry.resetAt <= now) windows.delete(key);
+        }
+    }, sweepIntervalMs);
+    sweeper.unref();
+
+    return {
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count += 1;
+            return { count: entry.count, resetAt: new Date(entry.resetAt) };
+        },
+
+        decrement: async (key) => {
+            const entry = windows.get(key);
+            if (entry && entry.count > 0) entry.count -= 1;
+        },
+
+        reset: async (key) => {
+            windows.delete(key);
+        }
+    };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,71 @@
+// Retries when another request changed the same user's reaction between
+// our read and write
+const MAX_ATTEMPTS = 3;
+
+// Sets `userId`'s reaction on a post or comment to `type`, or removes it when
+// `type` is null. Keeps `reactionCounts` and the legacy `likes` array in step.
+// Resolves to { doc, previous } with the updated document and the type the
+// user had before, or null when the document doesn't exist.
+const setReaction = async (Model, id, userId, type) => {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const current = await Model.findById(id).select('reactions');
+        if (!current) return null;
+
+        const previous = current.reactionOf(userId);
+        if (previous === type) {
+            return { doc: await Model.findById(id), previous };
+        }
+
+        let filter;
+        let update;
+        if (!previous) {
+            filter = { _id: id, 'reactions.user': { $ne: userId } };
+            update = {
+                $push: { reactions: { user: userId, type } },
+                $inc: { [`reactionCounts.${type}`]: 1 }
+            };
+        } else if (!type) {
+            filter = { _id: id, reactions: { $elemMatch: { user: userId, type: previous } } };
+            update = {
+                $pull: { reactions: { user: userId } },
+                $inc: { [`reactionCounts.${previous}`]: -1 }
+            };
+        } else {
+            filter = { _id: id, reactions: { $elemMatch: { user: userId, type: previous } } };
+            update = {
+                $set: { 'reactions.$.type': type },
+                $inc: { [`reactionCounts.${previous}`]: -1, [`reactionCounts.${type}`]: 1 }
+            };
+        }
+
+        if (type === 'like') {
+            update.$addToSet = { likes: userId };
+        }
+        if (previous === 'like') {
+            update.$pull = { ...update.$pull, likes: userId };
+        }
+
+        const doc = await Model.findOneAndUpdate(filter, update, { new: true });
+        if (doc) return { doc, previous };
+    }
+
+    throw new Error('Reaction update conflicted too many times');
+};
+
+// Returns the posts or comments as plain objects with `myReaction` set to
+// the viewer's reaction type (null when they haven't reacted or are signed out)
+const withMyReaction = (items, viewer) => items.map(item => {
+    const plain = typeof item.toObject === 'function' ? item.toObject() : item;
+    const reaction = viewer && (plain.reactions || [])
+        .find(entry => entry.user.toString() === viewer._id.toString());
+
+    return {
+        ...plain,
+        myReaction: reaction ? reaction.type : null
+    };
+});
+
+module.exports = {
+    setReaction,
+    withMyReaction
+};
@@ -0,0 +1,55 @@
+const Post = require('../models/Post');
+const { excerpt, notify } = require('./notifications');
+const { canViewPostOf, excludedUserIds } = require('./visibility');
+
+// Reposting or quoting a repost shares the post it boosts
+const resolveOriginal = async (postId) => {
+    const post = await Post.findById(postId).populate('user', 'username isPrivate followers blocked');
+    if (post && post.kind === 'repost') {
+        return Post.findById(post.repostOf).populate('user', 'username isPrivate followers blocked');
+    }
+    return post;
+};
+
+const privateOriginalResponse = (res) => res.status(403).json({
+    success: false,
+    message: 'Posts from private accounts cannot be shared',
+    error: 'PRIVATE_ACCOUNT'
+});
+
+// Tells the original author their post was reposted or quoted. Both link to
+// the original, so they group by it; quotes also carry the quote post.
+const notifyOriginalAuthor = (type, original, sender, quote) => notify({
+    recipient: original.user._id,
+    sender: sender._id,
+    post: original._id,
+    quote: quote && quote._id,
+    type,
+    content: `"${excerpt(original.content)}" ${type === 'repost' ? 'reposted' : 'quoted'} by ${sender.username}`
+});
+
+// Prepares post lists populated with populatePostList for `viewer`: drops
+// reposts whose original is gone or hidden from them, and clears `quoteOf`
+// on quotes of posts they can't see
+const applyRepostVisibility = async (posts, viewer) => {
+    const excluded = new Set((await excludedUserIds(viewer)).map(id => id.toString()));
+
+    const isHidden = (original) => !original || !original.user ||
+        excluded.has((original.user._id || original.user).toString()) ||
+        !canViewPostOf(viewer, original);
+
+    return posts.filter(post => post.kind !== 'repost' || !isHidden(post.repostOf))
+        .map(post => {
+            if (post.kind === 'quote' && post.quoteOf && isHidden(post.quoteOf)) {
+                post.quoteOf = null;
+            }
+            return post;
+        });
+};
+
+module.exports = {
+    resolveOriginal,
+    privateOriginalResponse,
+    notifyOriginalAuthor,
+    applyRepostVisibility
+};
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { normalizeTag } = require('../utils/entities');
+
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_RADIUS = 60;
+
+// Escapes user input for use inside a RegExp / $regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Trims, collapses whitespace and caps the length of a search query.
+// Returns '' when nothing searchable is left.
+const sanitizeQuery = (query) => String(query || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_QUERY_LENGTH);
+
+// Words to highlight: the query's terms without $text operators
+// (negated terms, quotes) and without trailing plural/verb suffixes, since
+// the text index matches stems
+const highlightTerms = (query) => query
+    .split(' ')
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/["]/g, '').toLowerCase())
+    .map(term => term.length > 3 ? term.replace(/(ing|ed|es|s)$/, '') : term)
+    .filter(Boolean);
+
+// Builds a snippet of `text` around the first matched term, with the
+// [start, end) offsets of every matched word inside the snippet
+const buildSnippet = (text = '', terms) => {
+    if (terms.length === 0 || !text) return null;
+
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}_]*`, 'giu');
+    const first = pattern.exec(text);
+    if (!first) return null;
+
+    const start = Math.max(0, first.index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+    const snippet = text.slice(start, end);
+    pattern.lastIndex = 0;
+
+    const highlights = [...snippet.matchAll(pattern)].map(match => ({
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+
+    return {
+        text: `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`,
+        // Shift offsets past the leading ellipsis when there is one
+        highlights: highlights.map(({ start: s, end: e }) => ({
+            start: s + (start > 0 ? 1 : 0),
+            end: e + (start > 0 ? 1 : 0)
+        }))
+    };
+};
+
+// Resolves an `author` filter given as a user id or username. Only 24 hex
+// characters count as an id: ObjectId.isValid also accepts any 12-character
+// string, which would swallow 12-character usernames.
+const resolveAuthor = async (author) => {
+    if (/^[0-9a-fA-F]{24}$/.test(author)) return new mongoose.Types.ObjectId(author);
+    const user = await User.findOne({ username: author }).select('_id');
+    return user ? user._id : null;
+};
+
+// Ranked post search. `filter` carries visibility restrictions; `filters`
+// holds the optional author/from/to/hasMedia options already parsed.
+const searchPosts = async (query, { filter = {}, filters = {}, skip = 0, limit = 10 } = {}) => {
+    const conditions = [filter];
+
+    if (filters.author) conditions.push({ user: filters.author });
+    if (filters.from || filters.to) {
+        conditions.push({
+            createdAt: {
+                ...(filters.from && { $gte: filters.from }),
+                ...(filters.to && { $lte: filters.to })
+            }
+        });
+    }
+    if (filters.hasMedia === true) {
+        conditions.push({ $or: [{ 'media.0': { $exists: true } }, { image: { $nin: [null, ''] } }] });
+    } else if (filters.hasMedia === false) {
+        conditions.push({ 'media.0': { $exists: false }, image: { $in: [null, ''] } });
+    }
+
+    const posts = await Post.find({ $text: { $search: query }, $and: conditions })
+        .select({ score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+        .skip(skip)
+        .limit(limit + 1)
+        .populate('user', 'username profilePicture');
+
+    const terms = highlightTerms(query);
+    const hasMore = posts.length > limit;
+    if (hasMore) posts.pop();
+
+    return {
+        results: posts.map(post => ({
+            ...post.toObject(),
+            snippet: buildSnippet(post.content, terms)
+        })),
+        hasMore
+    };
+};
+
+// Ranked user search over username (weighted higher) and bio
+const searchUsers = async (query, { excludeIds = [], skip = 0, limit = 10 } = {}) => {
+    const users = await User.find({ $text: { $search: query }, _id: { $nin: excludeIds }, ...User.ACTIVE })
+        .select({ score: { $meta: 'textScore' }, username: 1, profilePicture: 1, bio: 1 })
+        .sort({ score: { $meta: 'textScore' } })
+        .skip(skip)
+        .limit(limit + 1);
+
+    const terms = highlightTerms(query);
+    const hasMore = users.length > limit;
+    if (hasMore) users.pop();
+
+    return {
+        results: users.map(user => ({
+            ...user.toObject(),
+            snippet: buildSnippet(user.bio, terms)
+        })),
+        hasMore
+    };
+};
+
+// Hashtags starting with the query, most used first
+const searchTags = async (query, { filter = {}, skip = 0, limit = 10 } = {}) => {
+    const prefix = normalizeTag(query.replace(/^#/, '').split(' ')[0]);
+    if (!prefix) return { results: [], hasMore: false };
+
+    const pattern = new RegExp(`^${escapeRegex(prefix)}`);
+    const tags = await Post.aggregate([
+        { $match: { ...filter, hashtags: pattern } },
+        { $unwind: '$hashtags' },
+        { $match: { hashtags: pattern } },
+        {
+            $group: {
+                _id: '$hashtags',
+                postsCount: { $sum: 1 },
+                lastUsedAt: { $max: '$createdAt' }
+            }
+        },
+        { $sort: { postsCount: -1, lastUsedAt: -1, _id: 1 } },
+        { $skip: skip },
+        { $limit: limit + 1 },
+        { $project: { _id: 0, tag: '$_id', postsCount: 1, lastUsedAt: 1 } }
+    ]);
+
+    const hasMore = tags.length > limit;
+    if (hasMore) tags.pop();
+
+    return { results: tags, hasMore };
+};
+
+module.exports = {
+    escapeRegex,
+    sanitizeQuery,
+    buildSnippet,
+    highlightTerms,
+    resolveAuthor,
+    searchPosts,
+    searchUsers,
+    searchTags
+};
@@ -0,0 +1,19 @@
+const createLocalDiskStorage = require('./localDisk');
+
+// A storage adapter is any object with:
+//   save(key, buffer, contentType) -> Promise<publicUrl>
+//   remove(key) -> Promise
+// Local disk is the default; call setStorage() at startup to plug in
+// something else (e.g. an object store).
+let storage = createLocalDiskStorage();
+
+const getStorage = () => storage;
+
+const setStorage = (adapter) => {
+    storage = adapter;
+};
+
+module.exports = {
+    getStorage,
+    setStorage
+};
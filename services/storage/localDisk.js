@@ -0,0 +1,24 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files under UPLOAD_DIR and returns URLs under /uploads
+// (see the static route in server.js)
+const createLocalDiskStorage = ({
+    root = process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'),
+    publicPrefix = '/uploads'
+} = {}) => ({
+    root,
+
+    save: async (key, buffer) => {
+        const filePath = path.join(root, key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+        return `${publicPrefix}/${key}`;
+    },
+
+    remove: async (key) => {
+        await fs.promises.rm(path.join(root, key), { force: true });
+    }
+});
+
+module.exports = createLocalDiskStorage;
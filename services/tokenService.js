@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const ActionToken = require('../models/ActionToken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const DOWNLOAD_TOKEN_TTL = process.env.DOWNLOAD_TOKEN_TTL || '5m';
+const STREAM_TOKEN_TTL = process.env.STREAM_TOKEN_TTL || '5m';
+
+const getSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (userId, family) => jwt.sign(
+    { userId, fam: family },
+    getSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const createRefreshToken = async (userId, family) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    await RefreshToken.create({
+        user: userId,
+        tokenHash: hashToken(refreshToken),
+        family,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    return refreshToken;
+};
+
+// Starts a new session (token family) for a user
+const issueTokens = async (userId) => {
+    const family = crypto.randomUUID();
+    const refreshToken = await createRefreshToken(userId, family);
+
+    return {
+        token: signAccessToken(userId, family),
+        refreshToken
+    };
+};
+
+const revokeFamily = (family) => RefreshToken.updateMany(
+    { family, revoked: false },
+    { revoked: true }
+);
+
+const revokeAllForUser = (userId) => RefreshToken.updateMany(
+    { user: userId, revoked: false },
+    { revoked: true }
+);
+
+// Exchanges a refresh token for a new access/refresh pair.
+// Returns { userId, token, refreshToken } on success or { error } with one of
+// INVALID_REFRESH_TOKEN, REFRESH_TOKEN_EXPIRED or REFRESH_TOKEN_REUSED.
+const rotateRefreshToken = async (refreshToken) => {
+    const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+    if (!record) {
+        return { error: 'INVALID_REFRESH_TOKEN' };
+    }
+
+    // A token that was already rotated or revoked is being replayed: assume
+    // it was stolen and end the whole session
+    if (record.usedAt || record.revoked) {
+        await revokeFamily(record.family);
+        return { error: 'REFRESH_TOKEN_REUSED' };
+    }
+
+    if (record.expiresAt <= new Date()) {
+        return { error: 'REFRESH_TOKEN_EXPIRED' };
+    }
+
+    // Mark as used atomically so two concurrent refreshes can't both succeed
+    const claimed = await RefreshToken.findOneAndUpdate(
+        { _id: record._id, usedAt: null, revoked: false },
+        { usedAt: new Date() }
+    );
+    if (!claimed) {
+        await revokeFamily(record.family);
+        return { error: 'REFRESH_TOKEN_REUSED' };
+    }
+
+    return {
+        userId: record.user,
+        token: signAccessToken(record.user, record.family),
+        refreshToken: await createRefreshToken(record.user, record.family)
+    };
+};
+
+// Whether the session an access token belongs to is still active
+const isFamilyActive = (family) => RefreshToken.exists({ family, revoked: false });
+
+// Creates a single-use emailed token, invalidating earlier unused ones for
+// the same user and purpose. Returns the raw token to put in the email.
+const createActionToken = async (userId, purpose, ttlMinutes) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await ActionToken.deleteMany({ user: userId, purpose, usedAt: null });
+    await ActionToken.create({
+        user: userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
+
+    return token;
+};
+
+// Marks a valid token as used and returns its user id, or null if the token
+// is unknown, expired or already used
+const consumeActionToken = async (token, purpose) => {
+    const now = new Date();
+    const record = await ActionToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { usedAt: now }
+    );
+
+    return record ? record.user : null;
+};
+
+// Download links carry their own token instead of the access token. It is
+// signed with a key of its own, so neither can pass for the other, and only
+// opens one export for its owner.
+const downloadSecret = () => `${getSecret()}:export-download`;
+
+const signDownloadToken = (exportId, userId) => jwt.sign(
+    { exportId: exportId.toString(), userId: userId.toString() },
+    downloadSecret(),
+    { expiresIn: DOWNLOAD_TOKEN_TTL }
+);
+
+// Returns { exportId, userId } for a valid token, or null
+const verifyDownloadToken = (token) => {
+    try {
+        const { exportId, userId } = jwt.verify(token, downloadSecret());
+        return exportId && userId ? { exportId, userId } : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// The notification stream is opened with its token in the URL, where it can
+// end up in logs, so it gets a short-lived token of its own instead of the
+// access token. It belongs to the same session, so auth checks it the same
+// way, but its key only opens the stream.
+const streamSecret = () => `${getSecret()}:notification-stream`;
+
+const signStreamToken = (userId, family) => jwt.sign(
+    { userId, fam: family },
+    streamSecret(),
+    { expiresIn: STREAM_TOKEN_TTL }
+);
+
+// Decodes a stream token; throws like jwt.verify when it's invalid or expired
+const verifyStreamToken = (token) => jwt.verify(token, streamSecret());
+
+module.exports = {
+    hashToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeFamily,
+    revokeAllForUser,
+    isFamilyActive,
+    createActionToken,
+    consumeActionToken,
+    signDownloadToken,
+    verifyDownloadToken,
+    signStreamToken,
+    verifyStreamToken
+};
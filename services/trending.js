@@ -0,0 +1,60 @@
+const Post = require('../models/Post');
+
+// Score = (reactions + COMMENT_WEIGHT * comments) * 0.5 ^ (age / HALF_LIFE), so a
+// post's score halves every HALF_LIFE hours
+const HALF_LIFE_HOURS = parseFloat(process.env.TRENDING_HALF_LIFE_HOURS) || 24;
+const COMMENT_WEIGHT = parseFloat(process.env.TRENDING_COMMENT_WEIGHT) || 2;
+
+const WINDOWS = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+const HOUR = 60 * 60 * 1000;
+
+// Returns one page of { _id, trendingScore } ranked by score, computed in
+// the database. `asOf` pins the clock so later pages rank consistently with
+// the first one.
+const rankTrendingPosts = ({ filter, window, asOf, skip, limit }) => Post.aggregate([
+    {
+        $match: {
+            ...filter,
+            // Plain reposts carry no content of their own
+            kind: { $ne: 'repost' },
+            createdAt: { $gte: new Date(asOf.getTime() - WINDOWS[window]), $lte: asOf }
+        }
+    },
+    {
+        $project: {
+            createdAt: 1,
+            engagement: {
+                $add: [
+                    { $size: { $ifNull: ['$reactions', []] } },
+                    { $multiply: [{ $size: { $ifNull: ['$comments', []] } }, COMMENT_WEIGHT] }
+                ]
+            },
+            ageHours: { $divide: [{ $subtract: [asOf, '$createdAt'] }, HOUR] }
+        }
+    },
+    {
+        $project: {
+            createdAt: 1,
+            trendingScore: {
+                $multiply: [
+                    '$engagement',
+                    { $pow: [0.5, { $divide: ['$ageHours', HALF_LIFE_HOURS] }] }
+                ]
+            }
+        }
+    },
+    { $sort: { trendingScore: -1, createdAt: -1, _id: -1 } },
+    { $skip: skip },
+    { $limit: limit }
+]);
+
+module.exports = {
+    WINDOWS,
+    HALF_LIFE_HOURS,
+    rankTrendingPosts
+};
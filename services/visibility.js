@@ -0,0 +1,91 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+
+// Accepts ids or populated user documents
+const isSameUser = (a, b) => (a._id || a).toString() === (b._id || b).toString();
+
+const includesUser = (list, user) => (list || []).some(id => isSameUser(id, user));
+
+// Whether either user has blocked the other. Both must be user documents
+// with `blocked` loaded.
+const isBlockedBetween = (a, b) => Boolean(a && b) &&
+    (includesUser(a.blocked, b) || includesUser(b.blocked, a));
+
+// Same as isBlockedBetween when only the other user's id is at hand
+const isBlockedWith = async (viewer, userId) => Boolean(viewer) &&
+    (includesUser(viewer.blocked, userId) ||
+        Boolean(await User.exists({ _id: userId, blocked: viewer._id })));
+
+// Ids of users whose content `viewer` shouldn't see: everyone they blocked,
+// everyone who blocked them and, unless `includeMuted` is false, everyone
+// they muted
+const excludedUserIds = async (viewer, { includeMuted = true } = {}) => {
+    if (!viewer) return [];
+
+    const blockedBy = await User.distinct('_id', { blocked: viewer._id });
+    return [
+        ...viewer.blocked,
+        ...blockedBy,
+        ...(includeMuted ? viewer.muted : [])
+    ];
+};
+
+// Whether `viewer` (a user document or undefined) may see content by `author`
+const canViewUser = (viewer, author) => {
+    if (!author.isPrivate) return true;
+    if (!viewer) return false;
+    return isSameUser(viewer._id, author._id) ||
+        author.followers.some(id => isSameUser(id, viewer._id));
+};
+
+// Private accounts whose posts `viewer` may see: their own and those they
+// follow (following is only granted once a private account approves it)
+const privateAuthorsVisibleTo = (viewer) => (viewer ? [viewer._id, ...viewer.following] : []);
+
+// Whether `viewer` may see a post, going by its authorIsPrivate copy
+const canViewPostOf = (viewer, post) => !post.authorIsPrivate ||
+    includesUser(privateAuthorsVisibleTo(viewer), post.user);
+
+// Post filter for feeds, lists and search: leaves out moderated posts,
+// private accounts `viewer` may not see and anyone blocked or muted
+const visiblePostsFilter = async (viewer) => ({
+    ...Post.VISIBLE,
+    $nor: [{ authorIsPrivate: true, user: { $nin: privateAuthorsVisibleTo(viewer) } }],
+    user: { $nin: await excludedUserIds(viewer) }
+});
+
+// Whether `viewer` may see the post with this id (false if it doesn't
+// exist, was moderated, its author is private, or either side blocked the
+// other)
+const canViewPost = async (viewer, postId) => {
+    const post = await Post.findById(postId)
+        .select('user moderationStatus authorDeactivated')
+        .populate('user', 'isPrivate followers blocked');
+
+    return Boolean(post) && !post.isModerated() && (!post.user ||
+        (canViewUser(viewer, post.user) && !isBlockedBetween(viewer, post.user)));
+};
+
+const privateAccountResponse = (res) => res.status(403).json({
+    success: false,
+    message: 'This account is private',
+    error: 'PRIVATE_ACCOUNT'
+});
+
+const blockedResponse = (res) => res.status(403).json({
+    success: false,
+    message: 'You cannot interact with this user',
+    error: 'USER_BLOCKED'
+});
+
+module.exports = {
+    canViewUser,
+    canViewPostOf,
+    visiblePostsFilter,
+    canViewPost,
+    privateAccountResponse,
+    isBlockedBetween,
+    isBlockedWith,
+    excludedUserIds,
+    blockedResponse
+};
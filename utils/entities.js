@@ -0,0 +1,40 @@
+// Hashtags must contain at least one letter or underscore so "#1" isn't a tag
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]*[\p{L}_][\p{L}\p{N}_]*)/gu;
+
+// Same character rules as usernames at registration
+const MENTION_PATTERN = /(^|[^a-zA-Z0-9_@.])@([a-zA-Z0-9_]{3,30})(?![a-zA-Z0-9_])/g;
+
+const MAX_TAG_LENGTH = 100;
+
+const normalizeTag = (tag) => tag.toLowerCase();
+
+const collect = (text, pattern, build) => {
+    const found = [];
+    for (const match of text.matchAll(pattern)) {
+        const [, prefix, value] = match;
+        const start = match.index + prefix.length;
+        // `end` is exclusive and covers the leading # or @
+        found.push(build(value, start, start + value.length + 1));
+    }
+    return found;
+};
+
+// Finds #hashtags and @mentions in text. Offsets are UTF-16 code unit
+// indexes into `text`, the same as JavaScript string indexes.
+const parseEntities = (text = '') => ({
+    hashtags: collect(text, HASHTAG_PATTERN, (tag, start, end) => ({
+        tag: normalizeTag(tag).slice(0, MAX_TAG_LENGTH),
+        start,
+        end
+    })),
+    mentions: collect(text, MENTION_PATTERN, (username, start, end) => ({
+        username,
+        start,
+        end
+    }))
+});
+
+module.exports = {
+    normalizeTag,
+    parseEntities
+};
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// Hard cap on page size regardless of what the client asks for
+const MAX_LIMIT = 50;
+
+const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+const OLDEST_FIRST = { createdAt: 1, _id: 1 };
+
+// Cursors are opaque to clients: base64url-encoded { createdAt, _id } of an
+// item on a page. Sorting on both fields keeps pages stable even when new
+// documents are inserted between requests.
+const encodeCursor = (doc) => {
+    const payload = JSON.stringify({
+        t: new Date(doc.createdAt).toISOString(),
+        id: doc._id.toString()
+    });
+    return Buffer.from(payload).toString('base64url');
+};
+
+// Returns { createdAt, id } or null if the cursor is malformed
+const decodeCursor = (cursor) => {
+    try {
+        const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        const createdAt = new Date(t);
+
+        if (isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+            return null;
+        }
+
+        return { createdAt, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Filter matching everything strictly older than the cursor position
+const olderThan = ({ createdAt, id }) => ({
+    $or: [
+        { createdAt: { $lt: createdAt } },
+        { createdAt, _id: { $lt: id } }
+    ]
+});
+
+// Filter matching everything strictly newer than the cursor position
+const newerThan = ({ createdAt, id }) => ({
+    $or: [
+        { createdAt: { $gt: createdAt } },
+        { createdAt, _id: { $gt: id } }
+    ]
+});
+
+// Reads limit/before/after/page from a request query. Returns null when a
+// cursor is present but cannot be decoded. `page` is only honoured when no
+// cursor is given, so older clients keep working during the migration.
+const parsePagination = (query, { defaultLimit = 10, maxLimit = MAX_LIMIT } = {}) => {
+    const requested = parseInt(query.limit) || defaultLimit;
+    const limit = Math.min(Math.max(requested, 1), maxLimit);
+
+    if (query.before || query.after) {
+        const direction = query.after ? 'after' : 'before';
+        const cursor = decodeCursor(query.after || query.before);
+        return cursor ? { limit, direction, cursor } : null;
+    }
+
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    return { limit, page };
+};
+
+// Reads page/limit for results that can't be cursor-paginated, such as
+// ranked search or trending
+const parsePageParams = (query, { defaultLimit = 10, maxLimit = MAX_LIMIT } = {}) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+// Runs a newest-first find over `filter` for the given pagination.
+// `decorate` receives the mongoose query so callers can add populate/select.
+// `nextCursor` goes back in time (pass it as `before`); `prevCursor` points
+// at the newest item on the page (pass it as `after` to check for new items).
+const paginate = async (Model, filter, pagination, decorate = (query) => query) => {
+    const { limit, direction, cursor, page } = pagination;
+
+    let query;
+    if (direction === 'after') {
+        query = Model.find({ $and: [filter, newerThan(cursor)] }).sort(OLDEST_FIRST);
+    } else if (direction === 'before') {
+        query = Model.find({ $and: [filter, olderThan(cursor)] }).sort(NEWEST_FIRST);
+    } else {
+        query = Model.find(filter).sort(NEWEST_FIRST).skip((page - 1) * limit);
+    }
+
+    // Fetch one extra item to know whether another page exists
+    const items = await decorate(query.limit(limit + 1));
+    const hasMore = items.length > limit;
+    if (hasMore) items.pop();
+    if (direction === 'after') items.reverse();
+
+    // Anything fetched with `after` necessarily has older items behind it
+    const hasOlder = direction === 'after' ? items.length > 0 : hasMore;
+
+    return {
+        items,
+        nextCursor: hasOlder ? encodeCursor(items[items.length - 1]) : null,
+        prevCursor: items.length > 0 ? encodeCursor(items[0]) : null,
+        hasMore
+    };
+};
+
+// Standard 400 body for a cursor that failed to decode
+const invalidCursorResponse = (res) => res.status(400).json({
+    success: false,
+    message: 'Invalid cursor',
+    error: 'INVALID_CURSOR'
+});
+
+module.exports = {
+    MAX_LIMIT,
+    encodeCursor,
+    decodeCursor,
+    olderThan,
+    newerThan,
+    parsePagination,
+    parsePageParams,
+    paginate,
+    invalidCursorResponse
+};
@@ -0,0 +1,41 @@
+// What each role may do. Roles are cumulative: moderators can do everything
+// users can, admins everything moderators can.
+const ROLE_PERMISSIONS = {
+    user: [],
+    moderator: [
+        'reports:manage'
+    ],
+    admin: [
+        'reports:manage',
+        'users:read',
+        'users:suspend',
+        'users:manage-roles',
+        'audit:read',
+        'maintenance:run'
+    ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (user, permission) =>
+    Boolean(user) && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+// Whether `actor`'s role is strictly above `target`'s. Staff may only warn,
+// suspend or change the role of accounts below them, so a moderator can't
+// suspend an admin and admins can't suspend or demote each other.
+const outranks = (actor, target) => ROLES.indexOf(actor.role) > ROLES.indexOf(target.role);
+
+// Response for an action against an account of equal or higher role
+const insufficientRoleResponse = (res) => res.status(403).json({
+    success: false,
+    message: 'You cannot do this to an account with the same or a higher role',
+    error: 'INSUFFICIENT_ROLE'
+});
+
+module.exports = {
+    ROLES,
+    ROLE_PERMISSIONS,
+    hasPermission,
+    outranks,
+    insufficientRoleResponse
+};
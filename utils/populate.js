@@ -0,0 +1,33 @@
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+
+// The post embedded in a repost or quote, with its author
+const embeddedPost = (path) => ({
+    path,
+    match: Post.VISIBLE,
+    select: '-comments',
+    populate: {
+        path: 'user',
+        select: 'username profilePicture'
+    }
+});
+
+// Populates a post query the way every post list returns it: the author,
+// the reposted or quoted post, and the visible comments with their authors
+const populatePostList = (query) => query
+    .populate('user', 'username profilePicture')
+    .populate(embeddedPost('repostOf'))
+    .populate(embeddedPost('quoteOf'))
+    .populate({
+        path: 'comments',
+        match: Comment.VISIBLE,
+        populate: {
+            path: 'user',
+            select: 'username profilePicture'
+        }
+    });
+
+module.exports = {
+    embeddedPost,
+    populatePostList
+};
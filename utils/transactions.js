@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+let supported;
+
+// Transactions need a replica set or a sharded cluster; a standalone server
+// (common in development) doesn't have them
+const transactionsSupported = async () => {
+    if (supported === undefined) {
+        const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+        supported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    }
+    return supported;
+};
+
+// Runs `work(session)` in a transaction when the server supports them, or
+// with a null session otherwise. `work` must pass the session to every query
+// and may be retried on transient errors, so it shouldn't have side effects
+// outside the database.
+const runInTransaction = async (work) => {
+    if (!(await transactionsSupported())) {
+        return work(null);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+module.exports = {
+    runInTransaction
+};